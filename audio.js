@@ -0,0 +1,232 @@
+(function (root) {
+    "use strict";
+
+    // ==========================
+    // Sound
+    // ==========================
+    // Everything is synthesised with WebAudio, so there are no sound files.
+    // Browsers only let a page make sound after a user gesture, so nothing
+    // is created until unlock() is called from one.
+    const ROOT_HZ = 220;                 // A3; notes below are semitones from here
+    const PENTATONIC = [0, 2, 4, 7, 9, 12, 14, 16];
+    // One chord per bar: Amaj7, F#m7, Dmaj7, E6
+    const PROGRESSION = [[0, 4, 7, 11], [-3, 0, 4, 7], [-7, -3, 0, 4], [-5, -1, 2, 4]];
+    const SLOTS_PER_BAR = 32;            // A slot is one game step
+    const LOOKAHEAD_S = 0.25;            // How far ahead music gets scheduled
+    const MIN_SLOT_S = 0.09;             // Fast modes don't turn the music frantic
+    const MUSIC_GAIN = 0.22;
+    const MUSIC_LEVELS = { menu: 0.55, play: 1, paused: 0.3, over: 0 };
+    const FADE_S = 0.7;                  // Time constant of music fades
+    const REPEAT_S = 0.03;               // The same effect this soon again is dropped (replay seeking)
+
+    function hz(semitones) {
+        return ROOT_HZ * Math.pow(2, semitones / 12);
+    }
+
+    function createAudio(opts) {
+        const o = opts || {};
+        let volume = typeof o.volume === "number" ? Math.max(0, Math.min(1, o.volume)) : 0.7;
+        let muted = !!o.muted;
+        let ctx = null;
+        let master = null;
+        let sfxBus = null;
+        let musicBus = null;
+        let noise = null;
+        const lastPlayed = {};
+        // music scheduling
+        let slot = 0;
+        let nextSlotAt = 0;
+        let arpIndex = 2;
+        let musicMode = "off";
+
+        function unlock() {
+            const AudioContext = root.AudioContext || root.webkitAudioContext;
+            if (!AudioContext) return;
+            if (!ctx) {
+                ctx = new AudioContext();
+                master = ctx.createGain();
+                master.connect(ctx.destination);
+                sfxBus = ctx.createGain();
+                sfxBus.connect(master);
+                // the music sits behind a low-pass so it never gets in the way
+                const soften = ctx.createBiquadFilter();
+                soften.type = "lowpass";
+                soften.frequency.value = 2400;
+                soften.connect(master);
+                musicBus = ctx.createGain();
+                musicBus.gain.value = 0;
+                musicBus.connect(soften);
+                noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+                const data = noise.getChannelData(0);
+                for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+                applyVolume();
+            }
+            if (ctx.state === "suspended") ctx.resume();
+        }
+
+        function applyVolume() {
+            if (!master) return;
+            master.gain.setTargetAtTime(muted ? 0 : volume * volume, ctx.currentTime, 0.02);
+        }
+
+        // ==========================
+        // Voices
+        // ==========================
+        // One enveloped oscillator: `freq` (optionally gliding to `to`),
+        // starting at `at` for `dur` seconds
+        function tone(p) {
+            const osc = ctx.createOscillator();
+            const env = ctx.createGain();
+            const at = p.at || ctx.currentTime;
+            const attack = p.attack || 0.005;
+            osc.type = p.type || "triangle";
+            osc.frequency.setValueAtTime(p.freq, at);
+            if (p.to) osc.frequency.exponentialRampToValueAtTime(p.to, at + p.dur);
+            if (p.detune) osc.detune.value = p.detune;
+            env.gain.setValueAtTime(0.0001, at);
+            env.gain.linearRampToValueAtTime(p.gain || 0.2, at + attack);
+            env.gain.exponentialRampToValueAtTime(0.0001, at + p.dur);
+            osc.connect(env);
+            env.connect(p.dest || sfxBus);
+            osc.start(at);
+            osc.stop(at + p.dur + 0.05);
+        }
+
+        function burst(at, dur, gain, cutoff) {
+            const src = ctx.createBufferSource();
+            src.buffer = noise;
+            const filter = ctx.createBiquadFilter();
+            filter.type = "lowpass";
+            filter.frequency.setValueAtTime(cutoff, at);
+            filter.frequency.exponentialRampToValueAtTime(80, at + dur);
+            const env = ctx.createGain();
+            env.gain.setValueAtTime(gain, at);
+            env.gain.exponentialRampToValueAtTime(0.0001, at + dur);
+            src.connect(filter);
+            filter.connect(env);
+            env.connect(sfxBus);
+            src.start(at);
+            src.stop(at + dur + 0.05);
+        }
+
+        const SOUNDS = {
+            // rises through the scale as the score goes up
+            eat(t, p) {
+                const n = PENTATONIC[(p.step || 0) % PENTATONIC.length] + 12;
+                tone({ freq: hz(n), at: t, dur: 0.12, gain: 0.22 });
+                tone({ freq: hz(n + 7), at: t + 0.05, dur: 0.16, gain: 0.14 });
+            },
+            spawn(t) {
+                tone({ freq: hz(31), type: "sine", at: t + 0.12, dur: 0.35, gain: 0.05 });
+            },
+            item(t) {
+                [28, 33, 36].forEach((n, i) => tone({ freq: hz(n), type: "sine", at: t + i * 0.05, dur: 0.25, gain: 0.05 }));
+            },
+            pickup(t) {
+                [12, 19, 24, 31].forEach((n, i) => tone({ freq: hz(n), at: t + i * 0.04, dur: 0.18, gain: 0.12 }));
+            },
+            grow(t) {
+                tone({ freq: hz(-12), to: hz(12), type: "sine", at: t, dur: 0.6, gain: 0.2, attack: 0.05 });
+                [0, 4, 7, 12].forEach(n => tone({ freq: hz(n + 12), at: t + 0.3, dur: 0.9, gain: 0.06, attack: 0.08 }));
+            },
+            death(t) {
+                tone({ freq: hz(0), to: hz(-24), type: "sawtooth", at: t, dur: 0.5, gain: 0.12 });
+                burst(t, 0.35, 0.25, 1800);
+            },
+            win(t) {
+                [0, 4, 7, 12, 16, 19, 24].forEach((n, i) => tone({ freq: hz(n + 12), at: t + i * 0.07, dur: 0.4, gain: 0.12 }));
+            },
+            // a filled board: the win run, then the whole chord rings out
+            perfect(t) {
+                [0, 4, 7, 12, 16, 19, 24, 28, 31, 36].forEach((n, i) => tone({ freq: hz(n + 12), at: t + i * 0.06, dur: 0.45, gain: 0.1 }));
+                [0, 4, 7, 11].forEach(n => tone({ freq: hz(n + 12), type: "sine", at: t + 0.6, dur: 2.2, gain: 0.07, attack: 0.15 }));
+            },
+            start(t) {
+                [0, 7, 12].forEach((n, i) => tone({ freq: hz(n + 12), at: t + i * 0.06, dur: 0.25, gain: 0.1 }));
+            },
+            click(t) {
+                tone({ freq: 1400, type: "square", at: t, dur: 0.03, gain: 0.03 });
+            },
+        };
+
+        // Plays one of SOUNDS; `p` carries extras like the eat sound's `step`
+        function play(name, p) {
+            if (!ctx || ctx.state !== "running" || muted || !SOUNDS[name]) return;
+            const t = ctx.currentTime;
+            if (lastPlayed[name] !== undefined && t - lastPlayed[name] < REPEAT_S) return;
+            lastPlayed[name] = t;
+            SOUNDS[name](t, p || {});
+        }
+
+        // ==========================
+        // Music
+        // ==========================
+        // A slow chord pad, a bass note every quarter bar and a sparse
+        // pentatonic arpeggio that wanders over the chord, one slot per step
+        function scheduleSlot(at, slotS) {
+            const bar = Math.floor(slot / SLOTS_PER_BAR) % PROGRESSION.length;
+            const chord = PROGRESSION[bar];
+            const inBar = slot % SLOTS_PER_BAR;
+            if (inBar === 0) {
+                const len = slotS * SLOTS_PER_BAR;
+                chord.forEach(n => {
+                    tone({ freq: hz(n), type: "triangle", at, dur: len * 1.1, gain: 0.05, attack: len * 0.3, dest: musicBus, detune: -6 });
+                    tone({ freq: hz(n), type: "sine", at, dur: len * 1.1, gain: 0.05, attack: len * 0.3, dest: musicBus, detune: 6 });
+                });
+            }
+            if (inBar % 8 === 0) {
+                tone({ freq: hz(chord[0] - 12), type: "sine", at, dur: slotS * 7, gain: 0.16, attack: 0.02, dest: musicBus });
+            }
+            // every other slot at most, and not always
+            if (inBar % 2 === 0 && Math.random() < 0.6) {
+                arpIndex = Math.max(0, Math.min(PENTATONIC.length - 1, arpIndex + Math.round(Math.random() * 4 - 2)));
+                const n = PENTATONIC[arpIndex] + 12;
+                tone({ freq: hz(n), type: "triangle", at, dur: slotS * 3, gain: 0.07, dest: musicBus });
+            }
+            slot++;
+        }
+
+        // Called every frame. `mode` is one of MUSIC_LEVELS (or "off");
+        // the tempo follows the game's `stepMs`.
+        function update(mode, stepMs) {
+            if (!ctx || ctx.state !== "running") return;
+            const t = ctx.currentTime;
+            if (mode !== musicMode) {
+                const level = MUSIC_LEVELS[mode] || 0;
+                musicBus.gain.setTargetAtTime(level * MUSIC_GAIN, t, FADE_S);
+                // a new run starts on a fresh bar
+                if (mode === "play" && (musicMode === "over" || musicMode === "menu")) slot = 0;
+                musicMode = mode;
+            }
+            if (!MUSIC_LEVELS[musicMode]) return;
+            const slotS = Math.max(MIN_SLOT_S, stepMs / 1000);
+            if (nextSlotAt < t) nextSlotAt = t + 0.05;
+            while (nextSlotAt < t + LOOKAHEAD_S) {
+                scheduleSlot(nextSlotAt, slotS);
+                nextSlotAt += slotS;
+            }
+        }
+
+        function setVolume(v) {
+            volume = Math.max(0, Math.min(1, v));
+            applyVolume();
+        }
+
+        function setMuted(m) {
+            muted = !!m;
+            applyVolume();
+        }
+
+        return {
+            unlock,
+            play,
+            update,
+            setVolume,
+            setMuted,
+            get volume() { return volume; },
+            get muted() { return muted; },
+        };
+    }
+
+    root.SnakeAudio = { createAudio };
+})(typeof self !== "undefined" ? self : this);
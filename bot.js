@@ -0,0 +1,158 @@
+(function (root, factory) {
+    // Plain <script> in the browser (after core.js), require() in Node
+    if (typeof module === "object" && module.exports) module.exports = factory(require("./core.js"));
+    else root.SnakeBot = factory(root.SnakeCore);
+})(typeof self !== "undefined" ? self : this, function (SnakeCore) {
+    "use strict";
+
+    // ==========================
+    // Autopilot
+    // ==========================
+    // A breadth-first search over the board that knows the body moves: the
+    // segment `i` cells from the tail of a snake leaves its cell after i + 1
+    // steps, so paths may run through cells that will be free by then.
+    // Before going for the food it checks that the tail can still be reached
+    // afterwards, which keeps it from sealing itself in.
+    const { DIRS, posKey } = SnakeCore;
+    const DIR_LIST = [DIRS.up, DIRS.right, DIRS.down, DIRS.left];
+
+    // Step count after which each occupied cell is free again
+    function blockTimes(state, player) {
+        const times = new Map();
+        state.snakes.forEach((s, p) => {
+            const n = s.body.length;
+            s.body.forEach((c, i) => {
+                const key = posKey(c.x, c.y);
+                times.set(key, Math.max(times.get(key) || 0, n - i));
+            });
+            // stay out of reach of other heads on the very next step
+            if (p !== player && s.alive) {
+                DIR_LIST.forEach(d => {
+                    const key = posKey(s.body[0].x + d.x, s.body[0].y + d.y);
+                    times.set(key, Math.max(times.get(key) || 0, 2));
+                });
+            }
+        });
+        return times;
+    }
+
+    function canEnter(game, cell, step, times) {
+        if (game.isWallCollision(cell.x, cell.y) || game.isObstacle(cell.x, cell.y)) return false;
+        return (times.get(posKey(cell.x, cell.y)) || 0) <= step;
+    }
+
+    // Shortest path from `from` to the first cell `isGoal` accepts, as a list
+    // of cells (not including `from`), or null when there is none
+    function search(game, from, isGoal, times) {
+        const start = posKey(from.x, from.y);
+        const prev = new Map([[start, null]]);
+        let frontier = [from];
+        for (let step = 1; frontier.length; step++) {
+            const next = [];
+            for (const cell of frontier) {
+                for (const d of DIR_LIST) {
+                    const to = game.moveFrom(cell, d);
+                    const key = posKey(to.x, to.y);
+                    if (prev.has(key)) continue;
+                    const goal = isGoal(to);
+                    // the goal may be a tail that moves on just in time
+                    if (!goal && !canEnter(game, to, step, times)) continue;
+                    if (goal && (game.isWallCollision(to.x, to.y) || game.isObstacle(to.x, to.y))) continue;
+                    prev.set(key, cell);
+                    if (goal) return unwind(prev, to);
+                    next.push(to);
+                }
+            }
+            frontier = next;
+        }
+        return null;
+    }
+
+    function unwind(prev, end) {
+        const path = [];
+        for (let c = end; prev.get(posKey(c.x, c.y)) !== null; c = prev.get(posKey(c.x, c.y))) path.unshift(c);
+        return path;
+    }
+
+    function dirTo(game, from, to) {
+        return DIR_LIST.find(d => {
+            const c = game.moveFrom(from, d);
+            return c.x === to.x && c.y === to.y;
+        });
+    }
+
+    // Whether a snake whose body (head first) is `body`, `elapsed` steps from
+    // now, could still get to its own tail
+    function tailReachable(game, body, elapsed, player) {
+        const state = game.state;
+        const times = new Map();
+        state.snakes.forEach((s, p) => {
+            if (p === player) return;
+            s.body.forEach((c, i) => times.set(posKey(c.x, c.y), Math.max(0, s.body.length - i - elapsed)));
+        });
+        body.forEach((c, i) => times.set(posKey(c.x, c.y), body.length - i));
+        const tail = body[body.length - 1];
+        return !!search(game, body[0], c => c.x === tail.x && c.y === tail.y, times);
+    }
+
+    // Cells reachable from `from`, a rough measure of room to move
+    function space(game, from, times) {
+        const seen = new Set([posKey(from.x, from.y)]);
+        let frontier = [from];
+        for (let step = 2; frontier.length && seen.size < game.state.grid ** 2; step++) {
+            const next = [];
+            frontier.forEach(cell => DIR_LIST.forEach(d => {
+                const to = game.moveFrom(cell, d);
+                const key = posKey(to.x, to.y);
+                if (seen.has(key) || !canEnter(game, to, step, times)) return;
+                seen.add(key);
+                next.push(to);
+            }));
+            frontier = next;
+        }
+        return seen.size;
+    }
+
+    // Picks the next move for `player` (default 0): { dir, path }, where
+    // `path` is the planned route (empty when it's only stalling for time)
+    function plan(game, player) {
+        const p = player || 0;
+        const state = game.state;
+        const snake = state.snakes[p];
+        const body = snake.body;
+        const head = body[0];
+        const times = blockTimes(state, p);
+
+        // 1. food, if the tail is still reachable once it's eaten
+        if (state.food) {
+            const food = state.food;
+            const path = search(game, head, c => c.x === food.x && c.y === food.y, times);
+            if (path) {
+                const after = path.slice().reverse().concat(body).slice(0, body.length + 1);
+                if (tailReachable(game, after, path.length, p)) return { dir: dirTo(game, head, path[0]), path };
+            }
+        }
+
+        // 2. otherwise follow the tail around until the way clears
+        const tail = body[body.length - 1];
+        const moves = DIR_LIST
+            .map(d => ({ dir: d, to: game.moveFrom(head, d) }))
+            .filter(m => canEnter(game, m.to, 1, times) || (m.to.x === tail.x && m.to.y === tail.y && !snake.ateOnLastStep));
+        const safe = moves.filter(m => tailReachable(game, [m.to].concat(body.slice(0, -1)), 1, p));
+        if (safe.length) {
+            // the longest way round leaves the most room behind
+            const far = safe.map(m => ({ m, path: search(game, m.to, c => c.x === tail.x && c.y === tail.y, times) || [] }));
+            far.sort((a, b) => b.path.length - a.path.length);
+            return { dir: far[0].m.dir, path: [] };
+        }
+
+        // 3. trapped: go wherever there is the most space
+        if (moves.length) {
+            moves.sort((a, b) => space(game, b.to, times) - space(game, a.to, times));
+            return { dir: moves[0].dir, path: [] };
+        }
+        return { dir: snake.dir, path: [] };
+    }
+
+    return { plan };
+});
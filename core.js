@@ -0,0 +1,963 @@
+(function (root, factory) {
+    // Plain <script> in the browser, require() in Node
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.SnakeCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    "use strict";
+
+    // ==========================
+    // Rules & Constants
+    // ==========================
+    const START_GRID = 8;                // Grid size a run starts with
+    const MAX_GRID = 36;                 // Grid stops growing here
+    const GROW_FILL = 0.7;               // Fill ratio that triggers growth
+    const GROW_BY = 2;                   // Cells added per growth (one on each side)
+    const BASE_STEP_MS = 150;            // Step time on a SPEED_GRID board
+    const SPEED_GRID = 15;               // Smaller boards step slower, bigger ones faster
+    const MIN_STEP_MS = 40;              // Speeding up with every food stops here
+
+    // Difficulty presets. `startGrid`, `maxGrid` and `growFill` shape
+    // growing boards (modes with a fixed grid keep theirs), `stepMs` is the
+    // step time on a SPEED_GRID board and `accelMs` comes off the step time
+    // for every food eaten. "normal" plays by the constants above.
+    const DIFFICULTIES = {
+        zen: { name: "Zen", startGrid: 10, maxGrid: MAX_GRID, growFill: 0.6, stepMs: 190, accelMs: 0 },
+        normal: { name: "Normal", startGrid: START_GRID, maxGrid: MAX_GRID, growFill: GROW_FILL, stepMs: BASE_STEP_MS, accelMs: 0 },
+        hard: { name: "Hard", startGrid: 8, maxGrid: 30, growFill: 0.75, stepMs: 120, accelMs: 0.3 },
+        insane: { name: "Insane", startGrid: 6, maxGrid: 24, growFill: 0.8, stepMs: 90, accelMs: 0.6 },
+    };
+    const DEFAULT_DIFFICULTY = "normal";
+    // Allowed range of each custom value; grids are whole numbers
+    const DIFFICULTY_LIMITS = {
+        startGrid: [6, MAX_GRID],
+        maxGrid: [6, MAX_GRID],
+        growFill: [0.3, 0.9],
+        stepMs: [MIN_STEP_MS, 400],
+        accelMs: [0, 10],
+    };
+
+    const DIRS = {
+        up: { x: 0, y: -1 },
+        down: { x: 0, y: 1 },
+        left: { x: -1, y: 0 },
+        right: { x: 1, y: 0 },
+    };
+
+    // Game modes. `grid` fixes the board size (otherwise it starts at the
+    // difficulty's `startGrid`), `grow` lets it expand, `wrap` turns the border into
+    // portals, `layout` names a generator of blocked cells and `players`
+    // puts that many snakes on the board.
+    const MODES = {
+        chilled: { name: "Chilled", grow: true },
+        classic: { name: "Classic", grid: 16, grow: false },
+        portal: { name: "Portal walls", grow: true, wrap: true },
+        pillars: { name: "Pillars", grid: 16, grow: false, layout: "pillars" },
+        maze: { name: "Maze", grid: 18, grow: false, layout: "maze" },
+        versus: { name: "Versus", grid: 20, grow: false, players: 2 },
+    };
+    const DEFAULT_MODE = "chilled";
+
+    // Obstacle generators; rows 2-4 stay clear for the starting snake
+    const LAYOUTS = {
+        // 2x2 blocks on a regular lattice
+        pillars(g) {
+            const cells = [];
+            for (let y = 6; y + 1 < g - 2; y += 5) {
+                for (let x = 2; x + 1 < g - 1; x += 5) {
+                    cells.push({ x, y }, { x: x + 1, y }, { x, y: y + 1 }, { x: x + 1, y: y + 1 });
+                }
+            }
+            return cells;
+        },
+        // full-width bars, each with a centre gap and one at alternating ends
+        maze(g) {
+            const cells = [];
+            const mid = Math.floor(g / 2);
+            let row = 0;
+            for (let y = 6; y < g - 2; y += 5, row++) {
+                const side = row % 2 === 0 ? g - 4 : 2;
+                for (let x = 0; x < g; x++) {
+                    if (x === side || x === side + 1 || x === mid - 1 || x === mid) continue;
+                    cells.push({ x, y });
+                }
+            }
+            return cells;
+        },
+    };
+
+    // Extra items that may show up next to the regular food. Times are in
+    // simulation ms (the sum of step durations), so replays stay exact.
+    //   points/grows: what eating it does, lifeMs: how long it stays on the
+    //   board, effectMs: how long its effect lasts once picked up
+    const ITEMS = {
+        bonus: { name: "Bonus fruit", points: 5, grows: true, lifeMs: 6000 },
+        slow: { name: "Slow time", lifeMs: 8000, effectMs: 5000, stepScale: 1.6 },
+        shrink: { name: "Shrink", lifeMs: 8000, drop: 3 },
+        ghost: { name: "Ghost", lifeMs: 8000, effectMs: 4000 },
+    };
+    const ITEM_TYPES = Object.keys(ITEMS);
+    const ITEM_CHANCE = 0.25;            // Chance for an item after eating food
+    const MAX_ITEMS = 1;                 // Items on the board at once
+    const MIN_LENGTH = 3;                // Shrinking never goes below this
+    const SPAWN_TRIES = 64;              // Random cells tried before listing the free ones
+
+    // Combos, for runs started with `combo: true` (single player): food
+    // eaten soon after it appears keeps a streak going, and the streak
+    // multiplies what the next food is worth
+    const COMBO_SLACK = 6;               // Ticks allowed beyond the shortest way to the food
+    const COMBO_MAX = 5;                 // Highest multiplier
+
+    const LEVEL_VERSION = 1;
+    const MIN_LEVEL_GRID = 6;
+
+    const REPLAY_VERSION = 2;
+    // One letter per direction keeps replay input logs small
+    const DIR_CODES = { U: DIRS.up, D: DIRS.down, L: DIRS.left, R: DIRS.right };
+
+    function dirCode(d) {
+        if (d.y < 0) return "U";
+        if (d.y > 0) return "D";
+        return d.x < 0 ? "L" : "R";
+    }
+
+    // ==========================
+    // Utilities
+    // ==========================
+    function posKey(x, y) { return x + "," + y; }
+
+    function stepMsFor(grid, baseMs) { return (baseMs || BASE_STEP_MS) * (SPEED_GRID / grid); }
+
+    // Small, fast, seedable PRNG (mulberry32); returns floats in [0, 1)
+    function createRng(seed) {
+        let a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Hashes any seed (string or number) to a 32-bit integer (FNV-1a)
+    function hashSeed(seed) {
+        const str = String(seed);
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    // Seed shared by everyone playing the daily board; `day` is "YYYY-MM-DD"
+    function dailySeed(day) { return "daily-" + day; }
+
+    // ==========================
+    // Difficulty
+    // ==========================
+    // Takes a preset name or custom values { startGrid, maxGrid, growFill,
+    // stepMs, accelMs } and returns the settings a run plays by, with
+    // `key` naming the preset ("custom" otherwise). Throws on values out of
+    // DIFFICULTY_LIMITS.
+    function parseDifficulty(d) {
+        if (d == null) d = DEFAULT_DIFFICULTY;
+        if (typeof d === "string") {
+            if (!DIFFICULTIES[d]) throw new Error(`Unknown difficulty ${d}`);
+            return Object.assign({ key: d }, DIFFICULTIES[d]);
+        }
+        if (typeof d !== "object") throw new Error("Malformed difficulty");
+        const out = { key: "custom", name: "Custom" };
+        Object.keys(DIFFICULTY_LIMITS).forEach(k => {
+            const [min, max] = DIFFICULTY_LIMITS[k];
+            const v = d[k];
+            const whole = k === "startGrid" || k === "maxGrid";
+            if (typeof v !== "number" || !(v >= min && v <= max) || (whole && !Number.isInteger(v))) {
+                throw new Error(`Difficulty ${k} must be ${whole ? "a whole number " : ""}between ${min} and ${max}`);
+            }
+            out[k] = v;
+        });
+        if (out.maxGrid < out.startGrid) throw new Error("Difficulty maxGrid can't be below startGrid");
+        return out;
+    }
+
+    // ==========================
+    // Levels
+    // ==========================
+    // A level is plain JSON:
+    //   { version: 1, name, grid, wrap?,
+    //     walls: [[x, y], ...],
+    //     start: { x, y, dir: "U" | "D" | "L" | "R", length },
+    //     portals: [[[x, y], [x, y]], ...],      // entering one exits the other
+    //     food: { spawns?: [[x, y], ...], goal? } } // spawn cells, score to clear
+    // parseLevel() checks an untrusted level and returns a normalised copy.
+    function parseLevel(data) {
+        const l = typeof data === "string" ? JSON.parse(data) : data;
+        if (!l || l.version !== LEVEL_VERSION) throw new Error("Unsupported level version");
+        const grid = l.grid;
+        if (!Number.isInteger(grid) || grid < MIN_LEVEL_GRID || grid > MAX_GRID) {
+            throw new Error(`Level grid must be between ${MIN_LEVEL_GRID} and ${MAX_GRID}`);
+        }
+        const cell = (c, what) => {
+            if (!Array.isArray(c) || !Number.isInteger(c[0]) || !Number.isInteger(c[1])
+                || c[0] < 0 || c[1] < 0 || c[0] >= grid || c[1] >= grid) {
+                throw new Error(`Level ${what} is off the board`);
+            }
+            return [c[0], c[1]];
+        };
+        const walls = (l.walls || []).map(c => cell(c, "wall"));
+        const blocked = new Set(walls.map(c => posKey(c[0], c[1])));
+
+        const s = l.start || {};
+        const start = {
+            x: s.x,
+            y: s.y,
+            dir: DIR_CODES[s.dir] ? s.dir : "R",
+            length: Number.isInteger(s.length) ? s.length : 3,
+        };
+        if (start.length < 2 || start.length > grid) throw new Error("Level start length is out of range");
+        levelStartCells({ grid, start }).forEach(p => {
+            cell([p.x, p.y], "start");
+            if (blocked.has(posKey(p.x, p.y))) throw new Error("Level start overlaps a wall");
+        });
+
+        const portalCells = new Set();
+        const portals = (l.portals || []).map(pair => {
+            if (!Array.isArray(pair) || pair.length !== 2) throw new Error("Level portals come in pairs");
+            return pair.map(c => {
+                const p = cell(c, "portal");
+                const key = posKey(p[0], p[1]);
+                if (blocked.has(key) || portalCells.has(key)) throw new Error("Level portal overlaps another cell");
+                portalCells.add(key);
+                return p;
+            });
+        });
+
+        const f = l.food || {};
+        const food = {};
+        if (f.spawns) food.spawns = f.spawns.map(c => cell(c, "food spawn"));
+        if (f.goal != null) {
+            if (!Number.isInteger(f.goal) || f.goal < 1) throw new Error("Level food goal must be a positive integer");
+            food.goal = f.goal;
+        }
+
+        return {
+            version: LEVEL_VERSION,
+            name: String(l.name || "Custom level").slice(0, 40),
+            grid,
+            wrap: !!l.wrap,
+            walls,
+            start,
+            portals,
+            food,
+        };
+    }
+
+    // Snake cells for a level start: head first, body trailing behind it
+    function levelStartCells(level) {
+        const d = DIR_CODES[level.start.dir] || DIRS.right;
+        const cells = [];
+        for (let i = 0; i < level.start.length; i++) {
+            cells.push({ x: level.start.x - d.x * i, y: level.start.y - d.y * i });
+        }
+        return cells;
+    }
+
+    // ==========================
+    // Game Factory
+    // ==========================
+    // Creates an isolated simulation. Nothing in here touches the DOM,
+    // timers or storage: randomness comes from `rng`, timestamps from `now`
+    // and everything worth reacting to is reported through `onEvent`.
+    function createGame(opts) {
+        const o = opts || {};
+        let rng = o.rng || Math.random;
+        const now = o.now || (() => 0);
+        const emit = o.onEvent || function () {};
+
+        const state = {
+            grid: START_GRID,
+            stepMs: stepMsFor(START_GRID),
+            // one entry per player, see createSnake()
+            snakes: [createSnake([], { x: 1, y: 0 })],
+            winner: null,                // surviving player when a versus round ends
+            food: null,
+            tick: 0,
+            gameOver: false,
+            deathCause: null,
+            runStartAt: 0,
+            endedAt: null,
+            seed: null,
+            config: {},
+            // mode rules
+            mode: DEFAULT_MODE,
+            wrap: false,
+            grow: true,
+            walls: new Set(),
+            portals: new Map(),          // cell key -> exit cell
+            level: null,
+            goal: null,                  // score that clears a level
+            won: false,
+            wonBy: null,                 // "goal" for a cleared level, "perfect" for a filled board
+            // items & timed effects, timed in simulation ms
+            simMs: 0,
+            baseStepMs: stepMsFor(START_GRID),
+            difficulty: parseDifficulty(DEFAULT_DIFFICULTY),
+            eaten: 0,                    // food eaten by anyone, for the speed-up
+            items: [],
+            effects: {},                 // effect type -> simMs it runs out
+            overlaps: 0,                 // body cells doubled up while a ghost
+            // combos
+            combo: false,
+            streak: 0,                   // quick meals in a row
+            comboUntil: 0,               // last tick the current food still counts as quick
+            // replay log: accepted inputs as [tick, dir] ([tick, dir, player]
+            // for player two) and ms between ticks
+            inputs: [],
+            tickMs: [],
+            lastTickAt: 0,
+            // O(1) occupancy, shared by all snakes
+            occupied: new Set(),
+            // player one; single-player code never needs to know about the rest
+            get snake() { return this.snakes[0].body; },
+            get dir() { return this.snakes[0].dir; },
+            get queuedDirs() { return this.snakes[0].queuedDirs; },
+            get score() { return this.snakes[0].score; },
+            set score(n) { this.snakes[0].score = n; },
+            get ateOnLastStep() { return this.snakes[0].ateOnLastStep; },
+        };
+
+        function createSnake(body, dir) {
+            return { body, dir, queuedDirs: [], score: 0, alive: true, deathCause: null, ateOnLastStep: false };
+        }
+
+        function rebuildOccupied() {
+            state.occupied = new Set();
+            state.snakes.forEach(s => s.body.forEach(p => state.occupied.add(posKey(p.x, p.y))));
+        }
+
+        // Snake bodies for a fresh round; a second player starts in the
+        // opposite corner heading the other way
+        function startSnakes(count) {
+            const g = state.grid;
+            const snakes = [createSnake([ { x: 3, y: 3 }, { x: 2, y: 3 }, { x: 1, y: 3 } ], { x: 1, y: 0 })];
+            if (count > 1) {
+                snakes.push(createSnake([ { x: g - 4, y: g - 4 }, { x: g - 3, y: g - 4 }, { x: g - 2, y: g - 4 } ], { x: -1, y: 0 }));
+            }
+            return snakes;
+        }
+
+        function reset(r) {
+            const cfg = r || {};
+            state.config = Object.assign({}, cfg);
+            // a seed makes the food order reproducible for this run
+            if (cfg.seed != null) rng = createRng(hashSeed(cfg.seed));
+            else if (cfg.rng) rng = cfg.rng;
+            state.seed = cfg.seed != null ? String(cfg.seed) : null;
+            state.level = cfg.level || null;
+            state.difficulty = parseDifficulty(cfg.difficulty);
+            state.eaten = 0;
+            state.portals = new Map();
+            state.won = false;
+            state.wonBy = null;
+            if (state.level) {
+                // levels bring their own board and never grow
+                const level = state.level;
+                state.mode = "level";
+                state.wrap = level.wrap;
+                state.grow = false;
+                state.grid = level.grid;
+                state.walls = new Set(level.walls.map(c => posKey(c[0], c[1])));
+                level.portals.forEach(([a, b]) => {
+                    state.portals.set(posKey(a[0], a[1]), { x: b[0], y: b[1] });
+                    state.portals.set(posKey(b[0], b[1]), { x: a[0], y: a[1] });
+                });
+                state.goal = level.food.goal || null;
+                const d = DIR_CODES[level.start.dir];
+                state.snakes = [createSnake(levelStartCells(level), { x: d.x, y: d.y })];
+            } else {
+                state.mode = MODES[cfg.mode] ? cfg.mode : DEFAULT_MODE;
+                const mode = MODES[state.mode];
+                state.wrap = !!mode.wrap;
+                state.grow = !!mode.grow;
+                state.grid = cfg.grid || mode.grid || state.difficulty.startGrid;
+                state.walls = new Set((mode.layout ? LAYOUTS[mode.layout](state.grid) : []).map(p => posKey(p.x, p.y)));
+                state.goal = null;
+                state.snakes = startSnakes(mode.players || 1);
+            }
+            state.winner = null;
+            state.baseStepMs = baseStep();
+            state.stepMs = state.baseStepMs;
+            state.simMs = 0;
+            state.items = [];
+            state.effects = {};
+            state.overlaps = 0;
+            state.combo = !!cfg.combo && state.snakes.length === 1;
+            state.streak = 0;
+            rebuildOccupied();
+            state.food = null;
+            state.food = spawnFood();
+            state.tick = 0;
+            startComboWindow();
+            state.gameOver = false;
+            state.deathCause = null;
+            state.runStartAt = now();
+            state.endedAt = null;
+            state.inputs = [];
+            state.tickMs = [];
+            state.lastTickAt = state.runStartAt;
+            return state;
+        }
+
+        // Queue a direction for `player` (default 0) if it's not an instant
+        // reverse and no duplicate
+        function queueDir(nd, player) {
+            const p = player || 0;
+            const s = state.snakes[p];
+            if (!nd || !s) return false;
+            const last = s.queuedDirs.length ? s.queuedDirs[s.queuedDirs.length - 1] : s.dir;
+            if (last.x + nd.x === 0 && last.y + nd.y === 0) return false; // prevent instant reverse
+            if (last.x === nd.x && last.y === nd.y) return false; // prevent duplicate same direction
+            if (s.queuedDirs.length >= 2) return false; // cap queued directions to 2
+            s.queuedDirs.push({ x: nd.x, y: nd.y });
+            state.inputs.push(p ? [state.tick, dirCode(nd), p] : [state.tick, dirCode(nd)]);
+            return true;
+        }
+
+        function isFreeCell(x, y) {
+            const key = posKey(x, y);
+            if (state.occupied.has(key) || state.walls.has(key) || state.portals.has(key)) return false;
+            if (state.food && state.food.x === x && state.food.y === y) return false;
+            return !itemAt(x, y);
+        }
+
+        function itemAt(x, y) {
+            return state.items.find(it => it.x === x && it.y === y) || null;
+        }
+
+        // A random free cell, or null when there's none left. Guessing is
+        // quick while the board is mostly empty, and draws the same cells
+        // as before, so older replays keep their food unless the board got
+        // nearly full. A board too full to guess on has its free cells
+        // listed instead.
+        function randomFreeCell() {
+            for (let i = 0; i < SPAWN_TRIES; i++) {
+                const x = (rng() * state.grid) | 0;
+                const y = (rng() * state.grid) | 0;
+                if (isFreeCell(x, y)) return { x, y };
+            }
+            const free = [];
+            for (let y = 0; y < state.grid; y++) {
+                for (let x = 0; x < state.grid; x++) {
+                    if (isFreeCell(x, y)) free.push({ x, y });
+                }
+            }
+            return free.length ? free[(rng() * free.length) | 0] : null;
+        }
+
+        // Every open cell is covered by a snake: nothing left to eat
+        function boardFilled() {
+            const open = state.grid ** 2 - state.walls.size - state.portals.size;
+            return state.snakes.reduce((n, s) => n + s.body.length, 0) >= open;
+        }
+
+        function spawnItem() {
+            const type = ITEM_TYPES[(rng() * ITEM_TYPES.length) | 0];
+            const pos = randomFreeCell();
+            if (!pos) return null;
+            const item = { type, x: pos.x, y: pos.y, bornAt: state.simMs, expiresAt: state.simMs + ITEMS[type].lifeMs };
+            state.items.push(item);
+            emit("item", item);
+            return item;
+        }
+
+        function effectLeft(type) {
+            return Math.max(0, (state.effects[type] || 0) - state.simMs);
+        }
+
+        // Step time before effects: set by the board size and difficulty,
+        // less `accelMs` per food eaten
+        function baseStep() {
+            const d = state.difficulty;
+            const ms = stepMsFor(state.grid, d.stepMs);
+            return Math.max(Math.min(ms, MIN_STEP_MS), ms - d.accelMs * state.eaten);
+        }
+
+        function updateSpeed() {
+            state.stepMs = state.baseStepMs * (effectLeft("slow") > 0 ? ITEMS.slow.stepScale : 1);
+        }
+
+        // Drops the last segment; a cell stays occupied while a ghosted
+        // body, or a head moving into the vacated tail, still overlaps it
+        function removeTail(snake) {
+            const body = (snake || state.snakes[0]).body;
+            const tail = body.pop();
+            if (!tail) return;
+            const doubled = state.overlaps > 0 && state.snakes.some(s => s.body.some(p => p.x === tail.x && p.y === tail.y));
+            if (doubled) state.overlaps -= 1;
+            else state.occupied.delete(posKey(tail.x, tail.y));
+        }
+
+        function pickUp(item) {
+            const def = ITEMS[item.type];
+            state.items.splice(state.items.indexOf(item), 1);
+            if (def.points) state.score += def.points;
+            if (def.effectMs) state.effects[item.type] = state.simMs + def.effectMs;
+            if (def.drop) {
+                // the step still drops the tail afterwards, so keep one extra
+                for (let i = 0; i < def.drop && state.snake.length > MIN_LENGTH + 1; i++) removeTail();
+            }
+            updateSpeed();
+            emit("pickup", { type: item.type, x: item.x, y: item.y, score: state.score });
+        }
+
+        // Runs out item lifetimes and effect timers
+        function updateTimers() {
+            state.items.slice().forEach(it => {
+                if (it.expiresAt <= state.simMs) {
+                    state.items.splice(state.items.indexOf(it), 1);
+                    emit("expire", it);
+                }
+            });
+            Object.keys(state.effects).forEach(type => {
+                if (effectLeft(type) <= 0) {
+                    delete state.effects[type];
+                    emit("effect-end", { type });
+                }
+            });
+            updateSpeed();
+        }
+
+        // New food somewhere free; null when the board has no room left
+        function spawnFood() {
+            // levels may restrict food to a set of cells
+            const spawns = state.level && state.level.food.spawns;
+            if (spawns && spawns.length) {
+                const free = spawns.filter(c => isFreeCell(c[0], c[1]));
+                if (free.length) {
+                    const c = free[(rng() * free.length) | 0];
+                    const pos = { x: c[0], y: c[1] };
+                    emit("spawn", pos);
+                    return pos;
+                }
+            }
+            const pos = randomFreeCell();
+            if (pos) emit("spawn", pos);
+            return pos;
+        }
+
+        // The new food counts as quick until the head could have reached
+        // it plus COMBO_SLACK ticks
+        function startComboWindow() {
+            if (!state.combo || !state.food) return;
+            const head = state.snake[0];
+            let dx = Math.abs(head.x - state.food.x);
+            let dy = Math.abs(head.y - state.food.y);
+            if (state.wrap) {
+                dx = Math.min(dx, state.grid - dx);
+                dy = Math.min(dy, state.grid - dy);
+            }
+            state.comboUntil = state.tick + dx + dy + COMBO_SLACK;
+        }
+
+        // What the food on the board is worth if eaten in time, and how many
+        // ticks are left for that; null without combos
+        function comboStatus() {
+            if (!state.combo) return null;
+            return {
+                streak: state.streak,
+                multiplier: Math.min(COMBO_MAX, 1 + state.streak),
+                ticksLeft: Math.max(0, state.comboUntil - state.tick),
+            };
+        }
+
+        function consumeDirectionQueue(snake) {
+            if (snake.queuedDirs.length) {
+                snake.dir = snake.queuedDirs.shift();
+            }
+        }
+
+        function nextHead(snake) {
+            const s = snake || state.snakes[0];
+            return moveFrom(s.body[0], s.dir);
+        }
+
+        // Cell reached by one step from `cell` in direction `d`
+        function moveFrom(cell, d) {
+            let x = cell.x + d.x;
+            let y = cell.y + d.y;
+            if (state.wrap) {
+                // portal walls: leave one edge, come back in on the opposite one
+                x = (x + state.grid) % state.grid;
+                y = (y + state.grid) % state.grid;
+            }
+            // level portals: step into one, come out of its partner
+            const exit = state.portals.get(posKey(x, y));
+            return exit ? { x: exit.x, y: exit.y } : { x, y };
+        }
+
+        function isWallCollision(nx, ny) {
+            return nx < 0 || ny < 0 || nx >= state.grid || ny >= state.grid;
+        }
+
+        function isObstacle(nx, ny) {
+            return state.walls.has(posKey(nx, ny));
+        }
+
+        function isSelfCollision(nx, ny, willEat) {
+            if (effectLeft("ghost") > 0) return false; // ghosts pass through themselves
+            const tail = state.snake[state.snake.length - 1];
+            const hits = state.occupied.has(posKey(nx, ny));
+            if (!willEat && tail && tail.x === nx && tail.y === ny) return false;
+            return hits;
+        }
+
+        // What, if anything, kills the snake making `move` this tick.
+        // All snakes move at once, so `moves` holds everyone's plan.
+        function collisionFor(move, moves) {
+            const { x: nx, y: ny } = move;
+            if (isWallCollision(nx, ny)) return "wall";
+            if (isObstacle(nx, ny)) return "obstacle";
+            for (const other of moves) {
+                if (other === move) continue;
+                const head = other.snake.body[0];
+                const own = move.snake.body[0];
+                // same target cell, or two heads swapping places
+                if ((other.x === nx && other.y === ny) || (head.x === nx && head.y === ny && other.x === own.x && other.y === own.y)) {
+                    return "head-on";
+                }
+            }
+            if (!state.occupied.has(posKey(nx, ny))) return null;
+            // a tail that moves on this tick frees its cell in time
+            const vacated = moves.some(m => {
+                const tail = m.snake.body[m.snake.body.length - 1];
+                return !m.willEat && tail.x === nx && tail.y === ny;
+            });
+            if (vacated) return null;
+            if (move.snake.body.some(p => p.x === nx && p.y === ny)) {
+                return effectLeft("ghost") > 0 ? null : "self"; // ghosts pass through themselves
+            }
+            return "body";
+        }
+
+        function growGridIfNeeded() {
+            if (!state.grow) return false;
+            const length = state.snakes.reduce((n, s) => n + s.body.length, 0);
+            const d = state.difficulty;
+            if (length >= state.grid ** 2 * d.growFill && state.grid < d.maxGrid) {
+                state.grid = Math.min(d.maxGrid, state.grid + GROW_BY);
+                state.baseStepMs = baseStep();
+                updateSpeed();
+                const shift = GROW_BY / 2;
+                state.snakes.forEach(s => s.body.forEach(p => { p.x += shift; p.y += shift; }));
+                state.items.forEach(it => { it.x += shift; it.y += shift; });
+                // rebuild occupied because positions changed
+                rebuildOccupied();
+                emit("grow", { grid: state.grid });
+                return true;
+            }
+            return false;
+        }
+
+        function win(reason) {
+            state.gameOver = true;
+            state.won = true;
+            state.wonBy = reason;
+            state.endedAt = now();
+            emit("win", { reason });
+        }
+
+        // Ends the run; in versus the round goes to whoever is left standing
+        function die(losers) {
+            losers.forEach(({ snake, cause }) => {
+                snake.alive = false;
+                snake.deathCause = cause;
+            });
+            const alive = state.snakes.filter(s => s.alive);
+            state.gameOver = true;
+            state.deathCause = losers[0].cause;
+            state.winner = state.snakes.length > 1 && alive.length === 1 ? state.snakes.indexOf(alive[0]) : null;
+            state.endedAt = now();
+            losers.forEach(({ snake, cause }) => emit("death", { cause, player: state.snakes.indexOf(snake) }));
+        }
+
+        function step() {
+            if (state.gameOver) return state;
+            const t = now();
+            state.tickMs.push(Math.round(t - state.lastTickAt));
+            state.lastTickAt = t;
+            state.tick += 1;
+            state.simMs += state.stepMs;
+
+            // plan every move first: the snakes all move at the same time
+            const moves = state.snakes.map(snake => {
+                snake.ateOnLastStep = false;
+                consumeDirectionQueue(snake);
+                const { x, y } = nextHead(snake);
+                const item = itemAt(x, y);
+                const eatsFood = !!state.food && x === state.food.x && y === state.food.y;
+                return { snake, x, y, item, eatsFood, willEat: eatsFood || !!(item && ITEMS[item.type].grows) };
+            });
+
+            const losers = [];
+            moves.forEach(m => {
+                const cause = collisionFor(m, moves);
+                if (cause) losers.push({ snake: m.snake, cause });
+            });
+            if (losers.length) { die(losers); return state; }
+
+            let ateFood = false;
+            for (const m of moves) {
+                const snake = m.snake;
+                // move head
+                const headKey = posKey(m.x, m.y);
+                if (state.occupied.has(headKey)) state.overlaps += 1;
+                snake.body.unshift({ x: m.x, y: m.y });
+                state.occupied.add(headKey);
+
+                if (m.item) pickUp(m.item);
+
+                if (m.eatsFood) {
+                    let points = 1;
+                    if (state.combo) {
+                        const quick = state.tick <= state.comboUntil;
+                        if (quick) points = comboStatus().multiplier;
+                        state.streak = quick ? state.streak + 1 : 0;
+                    }
+                    snake.score += points;
+                    state.eaten += 1;
+                    if (state.difficulty.accelMs) {
+                        state.baseStepMs = baseStep();
+                        updateSpeed();
+                    }
+                    state.food = null;
+                    ateFood = true;
+                    growGridIfNeeded();
+                    // report the head, it sits on the eaten cell even after growth
+                    emit("eat", { x: snake.body[0].x, y: snake.body[0].y, score: snake.score, points, player: state.snakes.indexOf(snake) });
+                } else if (m.willEat) {
+                    growGridIfNeeded();
+                }
+
+                if (m.willEat) {
+                    snake.ateOnLastStep = true; // keep tail still this frame
+                    if (state.goal && snake.score >= state.goal) {
+                        win("goal");
+                        return state;
+                    }
+                } else {
+                    removeTail(snake);
+                }
+            }
+
+            // a snake covering the whole board has won the game, whether
+            // the last cell held food or a growing item
+            if (moves.some(m => m.willEat) && boardFilled()) {
+                win("perfect");
+                return state;
+            }
+            if (ateFood) {
+                state.food = spawnFood();
+                startComboWindow();
+                // power-ups are a single-player thing
+                if (state.snakes.length === 1 && state.items.length < MAX_ITEMS && rng() < ITEM_CHANCE) spawnItem();
+            } else if (state.streak && state.tick > state.comboUntil) {
+                state.streak = 0;
+                emit("combo-end", {});
+            }
+            updateTimers();
+            // the last free cells were taken by items; food comes back
+            // once one of them is gone
+            if (!state.food && !ateFood) {
+                state.food = spawnFood();
+                startComboWindow();
+            }
+            return state;
+        }
+
+        // Everything needed to play this run back: config + input log + timing
+        function getReplay() {
+            const replay = {
+                v: REPLAY_VERSION,
+                config: Object.assign({}, state.config, { seed: state.seed }),
+                inputs: state.inputs.map(i => i.slice()),
+                tickMs: state.tickMs.slice(),
+                score: state.score,
+                timeMs: Math.round((state.endedAt ?? state.lastTickAt) - state.runStartAt),
+            };
+            if (state.snakes.length > 1) replay.scores = state.snakes.map(s => s.score);
+            return replay;
+        }
+
+        // Compact plain-JSON view of the board, as sent to online clients
+        function snapshot() {
+            return {
+                mode: state.mode,
+                tick: state.tick,
+                grid: state.grid,
+                stepMs: state.stepMs,
+                wrap: state.wrap,
+                walls: Array.from(state.walls, k => k.split(",").map(Number)),
+                food: state.food && [state.food.x, state.food.y],
+                snakes: state.snakes.map(s => ({
+                    body: s.body.map(p => [p.x, p.y]),
+                    dir: dirCode(s.dir),
+                    score: s.score,
+                    alive: s.alive,
+                    deathCause: s.deathCause,
+                    ateOnLastStep: s.ateOnLastStep,
+                })),
+                gameOver: state.gameOver,
+                deathCause: state.deathCause,
+                winner: state.winner,
+            };
+        }
+
+        // What an agent gets to see: snapshot() plus its own snake up front
+        // (`player` defaults to 0) and the items on the board
+        function observe(player) {
+            const p = player || 0;
+            const snap = snapshot();
+            const me = snap.snakes[p];
+            return Object.assign(snap, {
+                player: p,
+                snake: me.body,
+                dir: me.dir,
+                score: me.score,
+                items: state.items.map(it => ({ type: it.type, x: it.x, y: it.y, expiresIn: it.expiresAt - state.simMs })),
+            });
+        }
+
+        // Mirrors a snapshot() taken elsewhere; the board is only drawn, the
+        // run itself keeps going on the machine that took it
+        function applySnapshot(snap) {
+            state.mode = snap.mode;
+            state.tick = snap.tick;
+            state.grid = snap.grid;
+            state.stepMs = snap.stepMs;
+            state.baseStepMs = snap.stepMs;
+            state.wrap = snap.wrap;
+            state.walls = new Set(snap.walls.map(c => posKey(c[0], c[1])));
+            state.portals = new Map();
+            state.level = null;
+            state.items = [];
+            state.effects = {};
+            state.food = snap.food && { x: snap.food[0], y: snap.food[1] };
+            state.snakes = snap.snakes.map(s => Object.assign(createSnake(s.body.map(c => ({ x: c[0], y: c[1] })), Object.assign({}, DIR_CODES[s.dir])), {
+                score: s.score,
+                alive: s.alive,
+                deathCause: s.deathCause,
+                ateOnLastStep: s.ateOnLastStep,
+            }));
+            state.gameOver = snap.gameOver;
+            state.deathCause = snap.deathCause;
+            state.winner = snap.winner;
+            rebuildOccupied();
+            return state;
+        }
+
+        return {
+            state,
+            reset,
+            step,
+            queueDir,
+            getReplay,
+            snapshot,
+            applySnapshot,
+            observe,
+            spawnFood,
+            nextHead,
+            moveFrom,
+            isWallCollision,
+            isObstacle,
+            effectLeft,
+            comboStatus,
+            isSelfCollision,
+            growGridIfNeeded,
+        };
+    }
+
+    // ==========================
+    // Replays
+    // ==========================
+    // Checks an untrusted replay (e.g. an imported file); throws on junk
+    function parseReplay(data) {
+        const r = typeof data === "string" ? JSON.parse(data) : data;
+        if (!r || r.v !== REPLAY_VERSION) throw new Error("Unsupported replay version");
+        if (!r.config || r.config.seed == null) throw new Error("Replay has no seed");
+        if (!Array.isArray(r.tickMs) || !r.tickMs.every(Number.isFinite)) throw new Error("Replay has no tick timing");
+        if (!Array.isArray(r.inputs) || !r.inputs.every(i => Array.isArray(i) && Number.isInteger(i[0]) && DIR_CODES[i[1]] && (i[2] == null || Number.isInteger(i[2])))) {
+            throw new Error("Replay has a malformed input log");
+        }
+        if (!Number.isInteger(r.score) || r.score < 0) throw new Error("Replay has no valid score");
+        return r;
+    }
+
+    // Feeds a recorded input log back into `game`, one tick at a time.
+    // Seeking backwards restarts from the seed and fast-forwards.
+    function createReplayer(game, replay) {
+        const total = replay.tickMs.length;
+        const times = [0];
+        replay.tickMs.forEach((ms, i) => times.push(times[i] + ms));
+        let inputAt = 0;
+
+        function restart() {
+            game.reset(replay.config);
+            inputAt = 0;
+        }
+
+        function advance() {
+            const st = game.state;
+            if (st.gameOver || st.tick >= total) return false;
+            while (inputAt < replay.inputs.length && replay.inputs[inputAt][0] <= st.tick) {
+                const [, code, player] = replay.inputs[inputAt];
+                game.queueDir(DIR_CODES[code], player);
+                inputAt++;
+            }
+            game.step();
+            return true;
+        }
+
+        function seek(tick) {
+            const target = Math.max(0, Math.min(total, tick));
+            if (target < game.state.tick) restart();
+            while (game.state.tick < target && advance());
+        }
+
+        // Recorded time (ms since run start) at which `tick` happened
+        function timeAt(tick) {
+            return times[Math.max(0, Math.min(total, tick))];
+        }
+
+        restart();
+        return { replay, total, restart, advance, seek, timeAt };
+    }
+
+    return {
+        START_GRID,
+        MAX_GRID,
+        GROW_FILL,
+        MIN_STEP_MS,
+        DIFFICULTIES,
+        DEFAULT_DIFFICULTY,
+        DIFFICULTY_LIMITS,
+        DIRS,
+        MODES,
+        DEFAULT_MODE,
+        MIN_LEVEL_GRID,
+        ITEMS,
+        DIR_CODES,
+        dirCode,
+        posKey,
+        stepMsFor,
+        parseDifficulty,
+        createRng,
+        hashSeed,
+        dailySeed,
+        parseReplay,
+        createReplayer,
+        parseLevel,
+        levelStartCells,
+        createGame,
+    };
+});
@@ -0,0 +1,193 @@
+(function (root) {
+    "use strict";
+
+    // ==========================
+    // Animated GIF
+    // ==========================
+    // A small GIF89a writer for share clips. Every frame is mapped onto
+    // one fixed palette (a 6×7×6 colour cube, with ordered dithering), so
+    // frames can be compressed as they come in and only the bytes are kept.
+    const LEVELS_R = 6;
+    const LEVELS_G = 7;                  // The eye tells greens apart best
+    const LEVELS_B = 6;
+    const MIN_CODE_SIZE = 8;             // 256 colours
+    const CLEAR_CODE = 1 << MIN_CODE_SIZE;
+    const END_CODE = CLEAR_CODE + 1;
+    const MAX_CODES = 4096;              // LZW codes top out at 12 bits
+    const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+    // Grows as needed; GIFs are written a byte at a time
+    function createWriter() {
+        let buf = new Uint8Array(1 << 16);
+        let length = 0;
+
+        function reserve(n) {
+            if (length + n <= buf.length) return;
+            let size = buf.length * 2;
+            while (size < length + n) size *= 2;
+            const next = new Uint8Array(size);
+            next.set(buf.subarray(0, length));
+            buf = next;
+        }
+
+        return {
+            byte(b) {
+                reserve(1);
+                buf[length++] = b;
+            },
+            bytes(arr) {
+                reserve(arr.length);
+                buf.set(arr, length);
+                length += arr.length;
+            },
+            word(w) {
+                this.byte(w & 0xff);
+                this.byte((w >> 8) & 0xff);
+            },
+            text(s) {
+                for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i));
+            },
+            result: () => buf.slice(0, length),
+        };
+    }
+
+    function palette() {
+        const out = new Uint8Array(256 * 3);
+        let i = 0;
+        for (let r = 0; r < LEVELS_R; r++) {
+            for (let g = 0; g < LEVELS_G; g++) {
+                for (let b = 0; b < LEVELS_B; b++) {
+                    out[i++] = Math.round(r * 255 / (LEVELS_R - 1));
+                    out[i++] = Math.round(g * 255 / (LEVELS_G - 1));
+                    out[i++] = Math.round(b * 255 / (LEVELS_B - 1));
+                }
+            }
+        }
+        return out;
+    }
+
+    // RGBA pixels (as from getImageData) to palette indices
+    function quantize(rgba, width, height) {
+        const out = new Uint8Array(width * height);
+        const r = (LEVELS_R - 1) / 255;
+        const g = (LEVELS_G - 1) / 255;
+        const b = (LEVELS_B - 1) / 255;
+        for (let y = 0, p = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, p++) {
+                const t = (BAYER_4[(y & 3) * 4 + (x & 3)] + 0.5) / 16;
+                const ri = Math.min(LEVELS_R - 1, Math.floor(rgba[p * 4] * r + t));
+                const gi = Math.min(LEVELS_G - 1, Math.floor(rgba[p * 4 + 1] * g + t));
+                const bi = Math.min(LEVELS_B - 1, Math.floor(rgba[p * 4 + 2] * b + t));
+                out[p] = (ri * LEVELS_G + gi) * LEVELS_B + bi;
+            }
+        }
+        return out;
+    }
+
+    // Variable-width LZW, packed into the sub-blocks of at most 255
+    // bytes that image data is stored in
+    function compress(indices, out) {
+        const block = new Uint8Array(255);
+        let blockLength = 0;
+        let bits = 0;
+        let bitCount = 0;
+        let codeSize = MIN_CODE_SIZE + 1;
+        let nextCode = END_CODE + 1;
+        const table = new Map();
+
+        function flushBlock() {
+            out.byte(blockLength);
+            out.bytes(block.subarray(0, blockLength));
+            blockLength = 0;
+        }
+
+        function emit(code) {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block[blockLength++] = bits & 0xff;
+                if (blockLength === 255) flushBlock();
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        }
+
+        out.byte(MIN_CODE_SIZE);
+        emit(CLEAR_CODE);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = prefix * 256 + k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === MAX_CODES) {
+                // the table is full; start over
+                emit(CLEAR_CODE);
+                table.clear();
+                nextCode = END_CODE + 1;
+                codeSize = MIN_CODE_SIZE + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(END_CODE);
+        if (bitCount > 0) {
+            block[blockLength++] = bits & 0xff;
+            if (blockLength === 255) flushBlock();
+        }
+        if (blockLength > 0) flushBlock();
+        out.byte(0);
+    }
+
+    // A looping GIF of `width`×`height`. Frames are added as RGBA with
+    // how long each shows; finish() returns the file's bytes.
+    function createGif(width, height) {
+        const out = createWriter();
+        out.text("GIF89a");
+        out.word(width);
+        out.word(height);
+        out.byte(0xf7);                  // global 256-colour table
+        out.byte(0);
+        out.byte(0);
+        out.bytes(palette());
+        // loop forever
+        out.bytes([0x21, 0xff, 0x0b]);
+        out.text("NETSCAPE2.0");
+        out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+        let frames = 0;
+
+        function addFrame(rgba, delayMs) {
+            out.bytes([0x21, 0xf9, 0x04, 0x04]);
+            out.word(Math.max(2, Math.round(delayMs / 10)));
+            out.bytes([0x00, 0x00]);
+            out.byte(0x2c);
+            out.word(0);
+            out.word(0);
+            out.word(width);
+            out.word(height);
+            out.byte(0);
+            compress(quantize(rgba, width, height), out);
+            frames++;
+        }
+
+        function finish() {
+            out.byte(0x3b);
+            return out.result();
+        }
+
+        return {
+            addFrame,
+            finish,
+            get frames() { return frames; },
+        };
+    }
+
+    root.SnakeGif = { createGif };
+})(typeof self !== "undefined" ? self : this);
@@ -10,9 +10,210 @@
     const EAT_FX_MS = 360;               // Wave ring duration after eating
     const SHAKE_MS = 150;               // Screen shake duration on death
     const SSAA = 1.5;                  // Super-sampling factor for crisper rendering
+    const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+    const REPLAY_SEEK_TICKS = 10;        // Arrow keys jump this far while watching
+    const RESUME_COUNTDOWN = 3;          // Seconds counted down before play resumes
+    const COUNTDOWN_STEP_MS = 600;       // Duration of each countdown number
+    const EDITOR_GRID = 16;              // Board size of a fresh editor level
+    const PORTAL_HUES = [190, 45, 290, 120, 20, 330];
+    const ITEM_BLINK_MS = 1500;          // Items and effects blink when this close to running out
+    const VERSUS_BEST_OF = 5;            // Versus rounds per match
+    const ATTRACT_RESTART_MS = 1500;     // Pause before the welcome screen demo starts over
+    const BEST_FLASH_MS = 2500;          // How long "New best!" stays up in the HUD
+    const VICTORY_FX_MS = 2400;          // One glint down the snake after a perfect game
+    const VICTORY_GLINT = 6;             // Cells the glint is long
+    const TOAST_MS = 4000;               // How long an unlock note stays up
+    const CLIP_MS = 10000;               // Share clips show the end of the run...
+    const CLIP_HOLD_MS = 1500;           // ...and linger on how it ended
+    const CLIP_GIF_SIZE = 360;           // GIF clips are scaled down to this width
+    const CLIP_GIF_FRAME_MS = 70;        // ~14 frames a second
+    const CLIP_WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    const CARD_W = 600;                  // Share card size; the board takes the width
+    const CARD_H = 800;
+    const MAX_CATCHUP_STEPS = 5;         // Ticks one frame may run to catch up; the rest are dropped
+    const DEBUG_WINDOW_MS = 1000;        // Debug overlay figures are averaged over this long
+    const DEATH_TEXT = {
+        wall: 'hit the wall',
+        obstacle: 'hit an obstacle',
+        self: 'bit itself',
+        body: 'hit the other snake',
+        'head-on': 'crashed head-on',
+    };
+    const PHASE_TEXT = {
+        waiting: 'Waiting for players',
+        countdown: 'Round starting',
+        playing: 'Round in progress',
+        paused: 'Paused',
+        over: 'Round over',
+    };
+
+    // Every colour the board and the menus use. Colours that get mixed
+    // (board, snakes, food, accent) must be #rrggbb; `snakes` is per
+    // player, player one first.
+    const THEMES = {
+        dark: {
+            name: 'Dark',
+            page: '#111111', board: '#1f1f1f', boardEdge: '#2a2a2a',
+            grid: 'rgba(255,255,255,0.06)', wall: 'rgba(255,255,255,0.14)', mark: 'rgba(255,255,255,0.8)',
+            snakes: ['#ffffff', '#57d3ff'], snakeEdge: 'rgba(255,255,255,0.12)', shadow: 'rgba(0,0,0,0.35)', eyes: '#1f1f1f',
+            food: '#ff5757', items: { bonus: '#ffc857', slow: '#57b6ff', shrink: '#b57bff', ghost: '#e8e8e8' },
+            text: '#eeeeee', panel: 'rgba(40,40,40,0.8)', border: '#3a3a3a', raised: 'rgba(255,255,255,0.06)',
+            sunken: 'rgba(0,0,0,0.25)', stripe: 'rgba(255,255,255,0.04)', accent: '#ff5757', assist: '#ffc857',
+        },
+        light: {
+            name: 'Light',
+            page: '#e9e6df', board: '#f7f5f0', boardEdge: '#d6d2c8',
+            grid: 'rgba(0,0,0,0.07)', wall: 'rgba(0,0,0,0.2)', mark: 'rgba(0,0,0,0.7)',
+            snakes: ['#2d2d2d', '#1f7ae0'], snakeEdge: 'rgba(0,0,0,0.12)', shadow: 'rgba(0,0,0,0.2)', eyes: '#f7f5f0',
+            food: '#e5383b', items: { bonus: '#e09f00', slow: '#1f7ae0', shrink: '#8a4fd8', ghost: '#8a8a8a' },
+            text: '#222222', panel: 'rgba(250,248,243,0.88)', border: '#cfcac0', raised: 'rgba(0,0,0,0.05)',
+            sunken: 'rgba(255,255,255,0.7)', stripe: 'rgba(0,0,0,0.04)', accent: '#e5383b', assist: '#a86f00',
+        },
+        contrast: {
+            name: 'High contrast',
+            page: '#000000', board: '#000000', boardEdge: '#ffffff',
+            grid: 'rgba(255,255,255,0.28)', wall: '#bdbdbd', mark: '#ffffff',
+            snakes: ['#ffff00', '#00e5ff'], snakeEdge: 'rgba(255,255,255,0.6)', shadow: 'rgba(0,0,0,0)', eyes: '#000000',
+            food: '#ff3030', items: { bonus: '#ff9900', slow: '#00e5ff', shrink: '#ff40ff', ghost: '#ffffff' },
+            text: '#ffffff', panel: 'rgba(0,0,0,0.94)', border: '#ffffff', raised: 'rgba(255,255,255,0.12)',
+            sunken: '#000000', stripe: 'rgba(255,255,255,0.1)', accent: '#ffff00', assist: '#ff9900',
+        },
+        retro: {
+            name: 'Retro green',
+            page: '#0b1a0b', board: '#0f2a0f', boardEdge: '#1f4a1f',
+            grid: 'rgba(120,255,120,0.08)', wall: 'rgba(120,255,120,0.3)', mark: 'rgba(155,255,106,0.8)',
+            snakes: ['#9bff6a', '#6affd6'], snakeEdge: 'rgba(155,255,106,0.18)', shadow: 'rgba(0,0,0,0.5)', eyes: '#0f2a0f',
+            food: '#e6ff5a', items: { bonus: '#ffe066', slow: '#6affd6', shrink: '#c2ff8a', ghost: '#d8ffd0' },
+            text: '#b8ffa0', panel: 'rgba(10,30,10,0.88)', border: '#2f6a2f', raised: 'rgba(155,255,106,0.08)',
+            sunken: 'rgba(0,0,0,0.35)', stripe: 'rgba(155,255,106,0.05)', accent: '#9bff6a', assist: '#ffe066',
+        },
+        // Okabe-Ito colours, which stay apart with any kind of colour blindness
+        safe: {
+            name: 'Colour-blind safe',
+            page: '#101418', board: '#1b2026', boardEdge: '#2b323a',
+            grid: 'rgba(255,255,255,0.07)', wall: 'rgba(255,255,255,0.18)', mark: 'rgba(255,255,255,0.8)',
+            snakes: ['#f0f0f0', '#56b4e9'], snakeEdge: 'rgba(255,255,255,0.12)', shadow: 'rgba(0,0,0,0.35)', eyes: '#1b2026',
+            food: '#e69f00', items: { bonus: '#f0e442', slow: '#009e73', shrink: '#cc79a7', ghost: '#e8e8e8' },
+            text: '#eeeeee', panel: 'rgba(32,38,46,0.85)', border: '#3a434d', raised: 'rgba(255,255,255,0.06)',
+            sunken: 'rgba(0,0,0,0.25)', stripe: 'rgba(255,255,255,0.04)', accent: '#e69f00', assist: '#f0e442',
+        },
+        safeLight: {
+            name: 'Colour-blind safe light',
+            page: '#eceae4', board: '#fafaf7', boardEdge: '#d4d2cb',
+            grid: 'rgba(0,0,0,0.07)', wall: 'rgba(0,0,0,0.22)', mark: 'rgba(0,0,0,0.7)',
+            snakes: ['#222222', '#0072b2'], snakeEdge: 'rgba(0,0,0,0.12)', shadow: 'rgba(0,0,0,0.2)', eyes: '#fafaf7',
+            food: '#d55e00', items: { bonus: '#e69f00', slow: '#009e73', shrink: '#cc79a7', ghost: '#8a8a8a' },
+            text: '#222222', panel: 'rgba(250,250,247,0.9)', border: '#c9c6bd', raised: 'rgba(0,0,0,0.05)',
+            sunken: 'rgba(255,255,255,0.7)', stripe: 'rgba(0,0,0,0.04)', accent: '#d55e00', assist: '#9a6a00',
+        },
+    };
+    const DEFAULT_THEME = 'dark';
+    // CSS custom properties (style.css) and the theme colour each one takes
+    const THEME_VARS = {
+        '--bg': 'page', '--board': 'board', '--board-edge': 'boardEdge', '--text': 'text', '--panel': 'panel',
+        '--border': 'border', '--raised': 'raised', '--sunken': 'sunken', '--stripe': 'stripe',
+        '--accent': 'accent', '--assist': 'assist',
+    };
+    // How snakes are drawn, in the theme's colours. `body` is "solid",
+    // "gradient" (fading towards the tail) or "bands"
+    const SKINS = {
+        classic: { name: 'Classic', body: 'solid', eyes: false },
+        critter: { name: 'Critter', body: 'solid', eyes: true },
+        gradient: { name: 'Gradient', body: 'gradient', eyes: true },
+        banded: { name: 'Banded', body: 'bands', eyes: true },
+    };
+    const DEFAULT_SKIN = 'classic';
+
+    // Remappable actions, with their default keys (KeyboardEvent.key,
+    // lower case) and gamepad buttons (standard mapping). In versus the
+    // first set of directions steers player one and the second player two;
+    // alone both steer the one snake.
+    const CONTROL_ACTIONS = {
+        up: { name: 'Up', keys: ['w'], pad: [12] },
+        down: { name: 'Down', keys: ['s'], pad: [13] },
+        left: { name: 'Left', keys: ['a'], pad: [14] },
+        right: { name: 'Right', keys: ['d'], pad: [15] },
+        up2: { name: 'Up (player 2)', keys: ['arrowup'] },
+        down2: { name: 'Down (player 2)', keys: ['arrowdown'] },
+        left2: { name: 'Left (player 2)', keys: ['arrowleft'] },
+        right2: { name: 'Right (player 2)', keys: ['arrowright'] },
+        start: { name: 'Start', keys: [' '], pad: [0] },
+        pause: { name: 'Pause', keys: ['p', 'escape'], pad: [9] },
+        fullscreen: { name: 'Fullscreen', keys: ['f'] },
+        mute: { name: 'Mute', keys: ['m'] },
+        autopilot: { name: 'Autopilot', keys: ['b'] },
+        hints: { name: 'Hints', keys: ['h'] },
+        locate: { name: 'Where am I', keys: ['l'] },
+        debug: { name: 'Debug overlay', keys: ['f3'] },
+    };
+    const DIR_ACTIONS = {
+        up: ['up', 0], down: ['down', 0], left: ['left', 0], right: ['right', 0],
+        up2: ['up', 1], down2: ['down', 1], left2: ['left', 1], right2: ['right', 1],
+    };
+    const KEY_NAMES = { ' ': 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', escape: 'Esc' };
+    const PAD_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
 
-    const HS_KEY = 'snake_highscores_v1';
+    const STORE_VERSION = 2;             // Bump together with a new entry in MIGRATIONS
+    const VERSION_KEY = 'snake_storage_version';
+    const HS_KEY = 'snake_highscores_v2';
     const LAST_KEY = 'snake_last_entry_id_v1';
+    const DAILY_KEY = 'snake_daily_v2';
+    const MODE_KEY = 'snake_mode_v1';
+    const COMBO_KEY = 'snake_combo_v1';
+    const DIFFICULTY_KEY = 'snake_difficulty_v1';
+    const AUDIO_KEY = 'snake_audio_v1';
+    const ACCESS_KEY = 'snake_access_v1';
+    const CONTROLS_KEY = 'snake_controls_v1';
+    const PROFILES_KEY = 'snake_profiles_v2';
+    const HISTORY_KEY = 'snake_history_v2';
+    const ACHIEVEMENTS_KEY = 'snake_achievements_v1';
+    const DAILY_KEEP_DAYS = 14;          // Older daily boards get pruned
+    const HISTORY_MAX = 1000;            // Runs kept in the history; the oldest go first
+    const RECENT_RUNS = 8;               // Runs listed on the stats screen
+    const SPARK_RUNS = 50;               // Runs in the stats screen's score sparkline
+    const MAX_NAME = 16;
+    const DEFAULT_PROFILE = { id: 'default', name: 'Player', createdAt: 0 };
+    const ONLINE_KEY = 'snake_online_v1'; // Seat token for rejoining, per tab (sessionStorage)
+    const ONLINE_PORT = 8080;            // Default server port when the page isn't served by it
+    const ONLINE_RETRIES = 3;            // Reconnect attempts after losing the connection
+    const ONLINE_RETRY_MS = 2000;
+    const SCORE_QUEUE_KEY = 'snake_score_queue_v2'; // Runs waiting for the global leaderboard
+    const SCORE_QUEUE_MAX = 10;
+    const GLOBAL_TOP = 10;               // Entries shown from the global leaderboard
+    const SPEEDS = [1, 0.75, 0.5];       // Game speed choices; slower only, so replays still verify
+    const WARN_CELLS = 2;                // Obstacles this close ahead get announced
+    const SWIPE_PX = 24;                 // Default swipe distance; roughly a quick thumb flick
+    const SWIPE_RANGE = [8, 80];
+    const STICK_DEADZONE = 0.5;          // Stick travel (0..1) before it counts as a direction
+    // Custom difficulty inputs (see SnakeCore.DIFFICULTY_LIMITS); growFill
+    // is shown in percent
+    const DIFFICULTY_FIELDS = [
+        { key: 'startGrid', label: 'Start grid', step: 1 },
+        { key: 'maxGrid', label: 'Largest grid', step: 1 },
+        { key: 'growFill', label: 'Grows at', step: 5, scale: 100, unit: '% full' },
+        { key: 'stepMs', label: 'Step time', step: 5, unit: 'ms' },
+        { key: 'accelMs', label: 'Speed-up', step: 0.1, unit: 'ms per food' },
+    ];
+    const ITEM_COUNT = Object.keys(SnakeCore.ITEMS).length;
+    // Long-term goals. `test(run, totals)` is checked after every tick:
+    // `run` is what happened in the current run (see startFeats()) and
+    // `totals` what the player has done over all runs. `progress` tells
+    // how far along a locked one is, as [have, need].
+    const crashes = t => ['wall', 'obstacle', 'self'].filter(c => t.deaths.includes(c)).length;
+    const ACHIEVEMENTS = [
+        { id: 'first-bite', name: 'First bite', desc: 'Eat your first food', test: (r, t) => t.food >= 1 },
+        { id: 'centurion', name: 'Centurion', desc: 'Score 100 in one run', test: r => r.score >= 100 },
+        { id: 'room-to-roam', name: 'Room to roam', desc: 'Grow the board to 20×20', test: r => r.grid >= 20 },
+        { id: 'wall-to-wall', name: 'Wall to wall', desc: `Grow the board all the way to ${SnakeCore.MAX_GRID}×${SnakeCore.MAX_GRID}`, test: r => r.grid >= SnakeCore.MAX_GRID },
+        { id: 'right-minded', name: 'Right-minded', desc: 'Score 50 without turning left', test: r => r.score >= 50 && r.leftTurns === 0 },
+        { id: 'staying-power', name: 'Staying power', desc: 'Stay alive for 5 minutes', test: r => r.elapsedMs >= 5 * 60000 },
+        { id: 'on-a-roll', name: 'On a roll', desc: 'Eat a meal at the ×5 combo multiplier', test: r => r.bestMeal >= 5 },
+        { id: 'daily-habit', name: 'Daily habit', desc: 'Finish a daily run', test: r => r.ended && r.daily },
+        { id: 'perfect', name: 'Perfect game', desc: 'Fill the whole board', test: r => r.wonBy === 'perfect' },
+        { id: 'hungry', name: 'Hungry', desc: 'Eat 1000 food in all', test: (r, t) => t.food >= 1000, progress: (r, t) => [t.food, 1000] },
+        { id: 'collector', name: 'Collector', desc: 'Pick up every kind of item', test: (r, t) => t.items.length >= ITEM_COUNT, progress: (r, t) => [t.items.length, ITEM_COUNT] },
+        { id: 'been-there', name: 'Been there', desc: 'Crash into a wall, an obstacle and yourself', test: (r, t) => crashes(t) >= 3, progress: (r, t) => [crashes(t), 3] },
+    ];
 
     // ==========================
     // Canvas & HiDPI
@@ -35,7 +236,7 @@
         ctx.imageSmoothingQuality = 'high';
     }
 
-    window.addEventListener("resize", () => setupHiDPI(state.grid));
+    window.addEventListener("resize", () => setupHiDPI(sim.grid));
 
     // ==========================
     // Utilities
@@ -44,7 +245,6 @@
     function clamp01(v){ return Math.max(0, Math.min(1, v)); }
 
     function now() { return performance.now(); }
-    function posKey(x, y) { return x + "," + y; }
 
     function formatTime(ms) {
         const total = Math.max(0, Math.round(ms));
@@ -60,404 +260,3763 @@
     // ==========================
     // Persistent Storage (Highscores)
     // ==========================
-    function loadHighscores() {
-        try { return JSON.parse(localStorage.getItem(HS_KEY)) || []; }
+    // Scores across modes aren't comparable, so each mode has its own list;
+    // the default mode keeps the original key
+    // Runs with combos or on another difficulty score differently and get
+    // score lists of their own; `board` names one: a mode, plus "+combo"
+    // and "+<difficulty>" outside normal. Custom difficulties aren't ranked.
+    function scoreBoard(mode, combo, difficulty) {
+        let board = combo ? mode + '+combo' : mode;
+        if (difficulty && difficulty !== SnakeCore.DEFAULT_DIFFICULTY) board += '+' + difficulty;
+        return board;
+    }
+
+    function modeTitle(mode, combo, difficulty) {
+        const d = difficulty && difficulty !== SnakeCore.DEFAULT_DIFFICULTY ? difficultyName(difficulty) : '';
+        return SnakeCore.MODES[mode].name + (combo ? ' · combos' : '') + (d ? ` · ${d}` : '');
+    }
+
+    function scoreBoards() {
+        const difficulties = Object.keys(SnakeCore.DIFFICULTIES);
+        const boards = [];
+        Object.keys(SnakeCore.MODES).forEach(mode => [false, true].forEach(combo => {
+            difficulties.forEach(d => boards.push(scoreBoard(mode, combo, d)));
+        }));
+        return boards;
+    }
+
+    function highscoreKey(mode) {
+        return (!mode || mode === SnakeCore.DEFAULT_MODE) ? HS_KEY : `snake_highscores_${mode}_v2`;
+    }
+
+    function readJson(key) {
+        try { return JSON.parse(localStorage.getItem(key)); }
+        catch { return null; }
+    }
+
+    function loadHighscores(mode) {
+        try { return JSON.parse(localStorage.getItem(highscoreKey(mode))) || []; }
         catch { return []; }
     }
 
-    function saveHighscores(list) {
-        localStorage.setItem(HS_KEY, JSON.stringify(list));
+    function saveHighscores(list, mode) {
+        const key = highscoreKey(mode);
+        try { localStorage.setItem(key, JSON.stringify(list)); }
+        catch {
+            // out of quota: keep the scores, drop the replays
+            try { localStorage.setItem(key, JSON.stringify(list.map(({ replay, ...e }) => e))); }
+            catch {}
+        }
     }
 
-    function addHighscore({ score, timeMs }) {
-        const id = Date.now();
-        const entry = { id, score, timeMs, date: id };
-        const list = loadHighscores();
-        list.push(entry);
+    function rankEntries(list) {
         list.sort((a,b) => {
             if (b.score !== a.score) return b.score - a.score; // higher score first
             return a.timeMs - b.timeMs; // faster time wins on tie
         });
-        const trimmed = list.slice(0,5);
-        saveHighscores(trimmed);
+        return list.slice(0,5);
+    }
+
+    // `result` is "perfect" for a filled board, "died" otherwise
+    function addHighscore({ score, timeMs, seed, mode, difficulty, result, replay }) {
+        const id = Date.now();
+        const entry = { id, score, timeMs, date: id, seed, mode, difficulty, result, ...entryOwner(), replay };
+        const list = loadHighscores(mode);
+        list.push(entry);
+        const trimmed = rankEntries(list);
+        saveHighscores(trimmed, mode);
         try { localStorage.setItem(LAST_KEY, String(id)); } catch {}
         return trimmed;
     }
 
+    // Daily boards are kept per day, apart from the regular top 5
+    function loadDailyBoards() {
+        try { return JSON.parse(localStorage.getItem(DAILY_KEY)) || {}; }
+        catch { return {}; }
+    }
+
+    // Boards are keyed "YYYY-MM-DD", plus ":<mode>" outside the default mode
+    function dailyBoardKey(day, mode) {
+        return (!mode || mode === SnakeCore.DEFAULT_MODE) ? day : `${day}:${mode}`;
+    }
+
+    function loadDailyScores(day, mode) {
+        return loadDailyBoards()[dailyBoardKey(day, mode)] || [];
+    }
+
+    function addDailyScore(day, mode, { score, timeMs, difficulty, result, replay }) {
+        const id = Date.now();
+        const entry = { id, score, timeMs, date: id, mode, difficulty, result, ...entryOwner(), replay };
+        const boards = loadDailyBoards();
+        const key = dailyBoardKey(day, mode);
+        const trimmed = rankEntries((boards[key] || []).concat(entry));
+        boards[key] = trimmed;
+        const days = Array.from(new Set(Object.keys(boards).map(k => k.slice(0, 10)))).sort();
+        const keep = new Set(days.slice(-DAILY_KEEP_DAYS));
+        Object.keys(boards).forEach(k => {
+            if (!keep.has(k.slice(0, 10))) delete boards[k];
+            // only today's boards keep their replays
+            else if (k.slice(0, 10) !== day) boards[k] = boards[k].map(({ replay, ...e }) => e);
+        });
+        try {
+            localStorage.setItem(DAILY_KEY, JSON.stringify(boards));
+            localStorage.setItem(LAST_KEY, String(id));
+        } catch {}
+        return trimmed;
+    }
+
+    // Puts a new name on a stored score, from the prompt after a high score
+    function renameEntry(id, name) {
+        scoreBoards().forEach(mode => {
+            const list = loadHighscores(mode);
+            const hit = list.find(e => e.id === id);
+            if (!hit) return;
+            hit.name = name;
+            saveHighscores(list, mode);
+        });
+        const boards = loadDailyBoards();
+        const hit = Object.values(boards).flat().find(e => e.id === id);
+        if (!hit) return;
+        hit.name = name;
+        try { localStorage.setItem(DAILY_KEY, JSON.stringify(boards)); } catch {}
+    }
+
+    function findStoredReplay(id) {
+        const lists = scoreBoards().map(loadHighscores).concat(Object.values(loadDailyBoards()));
+        for (const list of lists) {
+            const hit = list.find(e => e.id === id);
+            if (hit && hit.replay) return hit.replay;
+        }
+        return null;
+    }
+
+    // { volume: 0..1, muted }
+    function loadAudioSettings() {
+        const a = readJson(AUDIO_KEY);
+        return a && typeof a === 'object' ? a : {};
+    }
+
+    function saveAudioSettings() {
+        try { localStorage.setItem(AUDIO_KEY, JSON.stringify({ volume: audio.volume, muted: audio.muted })); } catch {}
+    }
+
+    // { announce, motion: "system" | "reduce" | "full", speed: one of SPEEDS }
+    function loadAccessSettings() {
+        const a = readJson(ACCESS_KEY) || {};
+        return {
+            announce: a.announce !== false,
+            motion: ['reduce', 'full'].includes(a.motion) ? a.motion : 'system',
+            speed: SPEEDS.includes(a.speed) ? a.speed : 1,
+        };
+    }
+
+    function saveAccessSettings() {
+        try { localStorage.setItem(ACCESS_KEY, JSON.stringify(state.access)); } catch {}
+    }
+
+    // { keys: { action: [key] }, pad: { action: [button] }, swipe: px },
+    // with defaults for anything not saved
+    function loadControls() {
+        const c = readJson(CONTROLS_KEY) || {};
+        const keys = {};
+        const pad = {};
+        Object.keys(CONTROL_ACTIONS).forEach(action => {
+            const a = CONTROL_ACTIONS[action];
+            const savedKeys = c.keys && c.keys[action];
+            const savedPad = c.pad && c.pad[action];
+            keys[action] = Array.isArray(savedKeys) ? savedKeys.filter(k => typeof k === 'string') : a.keys.slice();
+            if (a.pad) pad[action] = Array.isArray(savedPad) ? savedPad.filter(Number.isInteger) : a.pad.slice();
+        });
+        const swipe = Number(c.swipe);
+        return { keys, pad, swipe: swipe >= SWIPE_RANGE[0] && swipe <= SWIPE_RANGE[1] ? swipe : SWIPE_PX };
+    }
+
+    function saveControls() {
+        try { localStorage.setItem(CONTROLS_KEY, JSON.stringify(state.controls)); } catch {}
+    }
+
+    function loadMode() {
+        try {
+            const mode = localStorage.getItem(MODE_KEY);
+            return SnakeCore.MODES[mode] ? mode : SnakeCore.DEFAULT_MODE;
+        } catch { return SnakeCore.DEFAULT_MODE; }
+    }
+
+    function saveMode(mode) {
+        try { localStorage.setItem(MODE_KEY, mode); } catch {}
+    }
+
+    function loadCombo() {
+        try { return localStorage.getItem(COMBO_KEY) === '1'; }
+        catch { return false; }
+    }
+
+    function saveCombo(on) {
+        try { localStorage.setItem(COMBO_KEY, on ? '1' : '0'); } catch {}
+    }
+
+    // { preset: a key of SnakeCore.DIFFICULTIES or "custom", custom: values
+    // for parseDifficulty() }
+    function loadDifficulty() {
+        const d = readJson(DIFFICULTY_KEY) || {};
+        const preset = d.preset === 'custom' || SnakeCore.DIFFICULTIES[d.preset] ? d.preset : SnakeCore.DEFAULT_DIFFICULTY;
+        return { preset, custom: difficultyValues(d.custom) };
+    }
+
+    // Just the values of difficulty `d` (a preset name or custom values),
+    // or normal's where they don't check out
+    function difficultyValues(d) {
+        let parsed;
+        try { parsed = SnakeCore.parseDifficulty(d && (typeof d === 'object' || SnakeCore.DIFFICULTIES[d]) ? d : SnakeCore.DEFAULT_DIFFICULTY); }
+        catch { parsed = SnakeCore.parseDifficulty(SnakeCore.DEFAULT_DIFFICULTY); }
+        const { key, name, ...values } = parsed;
+        return values;
+    }
+
+    function saveDifficulty() {
+        try { localStorage.setItem(DIFFICULTY_KEY, JSON.stringify(state.difficulty)); } catch {}
+    }
+
     function loadLastId() {
         try { return Number(localStorage.getItem(LAST_KEY)) || 0; }
         catch { return 0; }
     }
 
+    // ==========================
+    // Profiles & Run History
+    // ==========================
+    function cleanName(name) {
+        return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME);
+    }
+
+    // { active: id, list: [{ id, name, createdAt }] }, never empty
+    function loadProfiles() {
+        const p = readJson(PROFILES_KEY);
+        const profiles = p && Array.isArray(p.list) && p.list.length ? p : { active: null, list: [DEFAULT_PROFILE] };
+        if (!profiles.list.some(x => x.id === profiles.active)) profiles.active = profiles.list[0].id;
+        return profiles;
+    }
+
+    function saveProfiles(profiles) {
+        try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); } catch {}
+    }
+
+    function activeProfile() {
+        const profiles = loadProfiles();
+        return profiles.list.find(x => x.id === profiles.active);
+    }
+
+    // Who a new score belongs to
+    function entryOwner() {
+        const p = activeProfile();
+        return { profile: p.id, name: p.name };
+    }
+
+    function addProfile(name) {
+        const profiles = loadProfiles();
+        const profile = { id: 'p' + Date.now().toString(36), name: cleanName(name) || DEFAULT_PROFILE.name, createdAt: Date.now() };
+        profiles.list.push(profile);
+        profiles.active = profile.id;
+        saveProfiles(profiles);
+    }
+
+    function renameProfile(name) {
+        const profiles = loadProfiles();
+        const profile = profiles.list.find(x => x.id === profiles.active);
+        profile.name = cleanName(name) || profile.name;
+        saveProfiles(profiles);
+    }
+
+    function switchProfile(id) {
+        const profiles = loadProfiles();
+        if (!profiles.list.some(x => x.id === id)) return;
+        profiles.active = id;
+        saveProfiles(profiles);
+    }
+
+    // Every finished run, oldest first:
+    // { id, date, profile, mode, level, daily, seed, score, length, grid,
+    //   timeMs, cause, won, assisted, speed, combo, difficulty }
+    function loadHistory() {
+        const list = readJson(HISTORY_KEY);
+        return Array.isArray(list) ? list : [];
+    }
+
+    // Imported history ends up on the stats screen, so every entry must
+    // look like one recordRun() writes
+    function validRun(r) {
+        const count = v => Number.isInteger(v) && v >= 0;
+        return !!r && typeof r === 'object' && count(r.score) && count(r.length) && count(r.grid) && count(r.timeMs)
+            && Number.isFinite(r.date) && (r.cause == null || Object.keys(DEATH_TEXT).includes(r.cause))
+            && (r.speed === undefined || SPEEDS.includes(r.speed));
+    }
+
+    function recordRun(run) {
+        const list = loadHistory();
+        list.push(run);
+        try { localStorage.setItem(HISTORY_KEY, JSON.stringify(list.slice(-HISTORY_MAX))); } catch {}
+    }
+
+    // A profile's own runs in one mode, with or without combos, on one
+    // difficulty; custom levels and assisted runs aren't counted
+    function runStats(profileId, mode, combo, difficulty) {
+        const onBoard = r => r.mode === mode && !r.combo === !combo && (r.difficulty || SnakeCore.DEFAULT_DIFFICULTY) === difficulty;
+        const runs = loadHistory().filter(r => r.profile === profileId && onBoard(r) && !r.level && !r.assisted);
+        const total = runs.reduce((sum, r) => sum + r.score, 0);
+        return {
+            runs,
+            played: runs.length,
+            average: runs.length ? total / runs.length : 0,
+            best: runs.reduce((best, r) => Math.max(best, r.score), 0),
+            timeMs: runs.reduce((sum, r) => sum + r.timeMs, 0),
+        };
+    }
+
+    // Score to beat in the run about to start; null where stats don't
+    // count it or the player has no runs yet
+    function personalBest() {
+        if (state.level || isVersus()) return null;
+        const st = runStats(activeProfile().id, sim.mode, sim.combo, sim.difficulty.key);
+        return st.played ? st.best : null;
+    }
+
+    // ==========================
+    // Storage Migrations
+    // ==========================
+    // Stored data carries a version under VERSION_KEY (none means 1);
+    // MIGRATIONS[i] upgrades it from version i + 1 to i + 2
+    const MIGRATIONS = [
+        // v2: profiles and run history; scores record who set them
+        function () {
+            const owner = e => ({ profile: DEFAULT_PROFILE.id, name: DEFAULT_PROFILE.name, ...e });
+            Object.keys(SnakeCore.MODES).forEach(mode => {
+                const old = mode === SnakeCore.DEFAULT_MODE ? 'snake_highscores_v1' : `snake_highscores_${mode}_v1`;
+                const list = readJson(old);
+                if (Array.isArray(list)) saveHighscores(list.map(owner), mode);
+                localStorage.removeItem(old);
+            });
+            const boards = readJson('snake_daily_v1');
+            if (boards && typeof boards === 'object') {
+                Object.keys(boards).forEach(k => { boards[k] = Array.isArray(boards[k]) ? boards[k].map(owner) : []; });
+                localStorage.setItem(DAILY_KEY, JSON.stringify(boards));
+            }
+            localStorage.removeItem('snake_daily_v1');
+            if (!readJson(PROFILES_KEY)) saveProfiles({ active: DEFAULT_PROFILE.id, list: [DEFAULT_PROFILE] });
+        },
+    ];
+
+    function migrateStorage() {
+        try {
+            let version = Number(localStorage.getItem(VERSION_KEY)) || 1;
+            for (; version < STORE_VERSION; version++) MIGRATIONS[version - 1]();
+            localStorage.setItem(VERSION_KEY, String(STORE_VERSION));
+        } catch {
+            // storage is off or full: play on with whatever is there
+        }
+    }
+
+    // ==========================
+    // Data Export / Import
+    // ==========================
+    // Everything the game keeps in localStorage goes under a "snake_" key
+    function storedKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('snake_')) keys.push(key);
+        }
+        return keys;
+    }
+
+    // Imported scores end up in the menus too, so entries must look like
+    // the ones addHighscore() and addDailyScore() write
+    function validEntry(e) {
+        if (!e || typeof e !== 'object') return false;
+        if (!Number.isInteger(e.score) || e.score < 0 || !Number.isFinite(e.id) || !Number.isFinite(e.date)) return false;
+        if (!Number.isFinite(e.timeMs) || e.timeMs < 0) return false;
+        if (e.name !== undefined && typeof e.name !== 'string') return false;
+        if (e.result !== undefined && e.result !== 'perfect' && e.result !== 'died') return false;
+        // scores only ever record a preset
+        if (e.difficulty !== undefined && !(isObject(e.difficulty) && SnakeCore.DIFFICULTIES[e.difficulty.key])) return false;
+        if (e.replay === undefined) return true;
+        try { SnakeCore.parseReplay(e.replay); return true; }
+        catch { return false; }
+    }
+
+    function isObject(v) {
+        return !!v && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    // [check, error] for an imported key; null for values the game only
+    // ever reads defensively (mode, last entry id, version)
+    function importCheck(key) {
+        if (key === HISTORY_KEY) return [v => Array.isArray(v) && v.every(validRun), 'Run history is damaged'];
+        if (key === PROFILES_KEY) {
+            const valid = p => isObject(p) && typeof p.id === 'string' && typeof p.name === 'string';
+            return [v => isObject(v) && Array.isArray(v.list) && v.list.every(valid), 'Profiles are damaged'];
+        }
+        if (key.startsWith('snake_highscores_')) return [v => Array.isArray(v) && v.every(validEntry), 'High scores are damaged'];
+        if (key.startsWith('snake_daily_')) {
+            return [v => isObject(v) && Object.values(v).every(list => Array.isArray(list) && list.every(validEntry)), 'Daily scores are damaged'];
+        }
+        return null;
+    }
+
+    function exportData() {
+        const data = {};
+        storedKeys().forEach(key => { data[key] = localStorage.getItem(key); });
+        downloadJson({ app: 'chilled-snake', version: STORE_VERSION, exportedAt: new Date().toISOString(), data }, `snake-data-${todayKey()}.json`);
+    }
+
+    // Replaces all saved data with an export; older exports are migrated.
+    // Throws on anything that isn't one.
+    function importData(text) {
+        const file = JSON.parse(text);
+        if (!file || file.app !== 'chilled-snake' || !file.data || typeof file.data !== 'object') throw new Error('Not a Snake data export');
+        if (!Number.isInteger(file.version) || file.version < 1 || file.version > STORE_VERSION) throw new Error('Unsupported data version');
+        const entries = Object.entries(file.data).filter(([key, value]) => key.startsWith('snake_') && typeof value === 'string');
+        entries.forEach(([key, value]) => {
+            const check = importCheck(key);
+            if (!check) return;
+            let parsed;
+            try { parsed = JSON.parse(value); } catch { parsed = null; }
+            if (!check[0](parsed)) throw new Error(check[1]);
+        });
+        entries.push([VERSION_KEY, String(file.version)]);
+
+        const replaceAll = pairs => {
+            storedKeys().forEach(key => localStorage.removeItem(key));
+            pairs.forEach(([key, value]) => localStorage.setItem(key, value));
+        };
+        const backup = storedKeys().map(key => [key, localStorage.getItem(key)]);
+        try { replaceAll(entries); }
+        catch {
+            // out of room halfway through: put the old data back
+            replaceAll(backup);
+            throw new Error('Not enough room to import this data');
+        }
+        migrateStorage();
+    }
+
+    function clearData() {
+        storedKeys().forEach(key => localStorage.removeItem(key));
+        migrateStorage();
+    }
+
+    // ==========================
+    // Seeds & Daily Challenge
+    // ==========================
+    // Daily boards roll over at midnight UTC so everyone shares the same day
+    function todayKey() { return new Date().toISOString().slice(0, 10); }
+
+    function randomSeed() { return Math.random().toString(36).slice(2, 8); }
+
+    function urlSeed() {
+        try { return new URLSearchParams(location.search).get('seed') || ''; }
+        catch { return ''; }
+    }
+
+    function seedInputValue() {
+        const input = $('#seedInput');
+        return input ? input.value.trim() : '';
+    }
+
+    function seedLink(seed) {
+        return location.origin + location.pathname + '?seed=' + encodeURIComponent(seed);
+    }
+
     // ==========================
     // Game State
     // ==========================
+    // Rules live in core.js; `sim` is the simulation state, `state` only
+    // holds what the browser shell needs on top of it.
+    const game = SnakeCore.createGame({ rng: Math.random, now: gameNow, onEvent: onGameEvent });
+    const sim = game.state;
+    const audio = SnakeAudio.createAudio(loadAudioSettings());
+
     const state = {
-        grid: BASE_GRID,         // current grid size
-        stepMs: 150 * (15 / BASE_GRID),
-        snake: [],
-        dir: { x: 1, y: 0 },
-        queuedDirs: [],
-        food: null,
-        score: 0,
-        lastStepAt: 0,
-        gameOver: false,
-        ateOnLastStep: false,
-        runStartAt: 0,
-        endedAt: null,
+        // fixed timestep: frame time piles up here and ticks take it off
+        stepAcc: 0,
+        lastFrameAt: null,
+        dueAt: null,             // when the tick being run was due, while catching up
+        debug: false,            // frame timing overlay
         started: false,
+        replay: null,            // playback cursor while watching a replay
+        lastReplay: null,        // replay of the run that just ended
+        clip: null,              // share clip being recorded (see startClip)
+        // pause bookkeeping: paused time is kept out of the game clock
+        paused: false,
+        pausedAt: null,
+        pausedMs: 0,
+        resumeAt: null,          // end of the resume countdown
+        pausePopulated: false,
+        // custom levels
+        level: null,             // parsed level played instead of the mode
+        editor: null,            // level editor session
+        testingLevel: null,      // editor draft being test-played
+        daily: null,             // "YYYY-MM-DD" while playing the daily board
+        mode: loadMode(),        // selected game mode (see SnakeCore.MODES)
+        combo: loadCombo(),      // start runs with combo scoring
+        difficulty: loadDifficulty(),
+        difficultyMenu: null,    // { populated, note } while the difficulty screen is open
+        runBest: null,           // personal best when the run started
+        ghost: null,             // { game, player, own } racing the current run
+        ghostImport: null,       // replay shared by someone else, raced on its own settings
+        feats: null,             // the run's progress towards achievements (see startFeats)
+        achievementsMenu: null,  // { populated } while the achievements screen is open
+        bestAt: null,            // when the run passed it
+        bestTick: null,          // and on which tick
+        online: null,            // connection and room while playing online
+        stats: null,             // { populated } while the stats screen is open
+        accessMenu: null,        // { populated } while the accessibility screen is open
+        access: loadAccessSettings(),
+        controls: loadControls(),
+        controlsMenu: null,      // { populated, listening: { device, action } } while remapping
+        warned: null,            // obstacle ahead that was last announced
+        nameEntryId: 0,          // new high score whose name can still be typed in
+        globalBoard: null,       // global top list on the game over screen
+        sendingScores: false,    // a queued run is on its way to the leaderboard
+        update: null,            // { worker, status: ready | later | applying } once a new version waits
+        // autopilot (see bot.js)
+        autopilot: false,        // the bot steers player one
+        versusBot: false,        // the bot plays player two in versus
+        hints: false,            // draw the bot's suggested path
+        hint: null,              // { tick, path } cached for the current tick
+        assisted: false,         // the bot helped this run; keeps it off the leaderboards
+        attractEndedAt: null,    // when the welcome screen demo run ended
+        // scripting API (window.snake)
+        lockStep: false,         // ticks wait for the agent instead of stepMs
+        agentMoved: false,       // the agent has moved since the last tick
+        match: newMatch(),       // versus round tally
         // FX
         foodFxAt: null,
         eatWave: null,
+        victoryAt: null,         // when the board got filled, for the victory effect
         // UI flags
         menuPopulated: false,
         welcomePopulated: false,
-        // O(1) occupancy + shake
-        occupied: new Set(),
+        // shake
         shakeUntil: null,
+        // look, from the active profile (see applyTheme)
+        theme: THEMES[DEFAULT_THEME],
+        skin: SKINS[DEFAULT_SKIN],
     };
 
-    // ==========================
-    // Input Handling
-    // ==========================
-    // Queue a direction if it's not an instant reverse and no duplicates
-    function queueDir(nd) {
-        if (!nd) return;
-        const last = state.queuedDirs.length ? state.queuedDirs[state.queuedDirs.length - 1] : state.dir;
-        if (last.x + nd.x === 0 && last.y + nd.y === 0) return; // prevent instant reverse
-        if (last.x === nd.x && last.y === nd.y) return; // prevent duplicate same direction
-        if (state.queuedDirs.length >= 2) return; // cap queued directions to 2
-        state.queuedDirs.push(nd);
+    // Clock handed to the simulation: wall time minus every paused stretch.
+    // Ticks run to catch up are timed when they were due, not when the
+    // frame got round to them, so replays keep the pace they were played at.
+    function gameNow() {
+        const t = state.dueAt !== null ? state.dueAt : now();
+        return t - state.pausedMs - (state.pausedAt !== null ? t - state.pausedAt : 0);
     }
 
-    function onKeyDown(e) {
-        const k = e.key.toLowerCase();
-        let nd = null;
-        // Toggle fullscreen on 'f'
-        if (k === 'f') {
-            const root = document.documentElement;
-            if (!document.fullscreenElement && root.requestFullscreen) {
-                root.requestFullscreen({ navigationUI: 'hide' }).catch(() => {});
-            } else if (document.exitFullscreen) {
-                document.exitFullscreen().catch(() => {});
+    function newMatch() {
+        return { wins: [0, 0], rounds: 0 };
+    }
+
+    function isVersus() {
+        return sim.snakes.length > 1;
+    }
+
+    // "7" alone, "3 – 5" with a second player
+    function scoreText() {
+        return sim.snakes.map(s => s.score).join(' – ');
+    }
+
+    // Winning player once a match is decided, otherwise -1
+    function matchWinner() {
+        const need = Math.ceil(VERSUS_BEST_OF / 2);
+        return state.match.wins.findIndex(w => w >= need);
+    }
+
+    // Spawn animation start per item (items belong to the simulation)
+    const itemFxAt = new WeakMap();
+
+    function onGameEvent(type, data) {
+        if (type === "spawn") {
+            state.foodFxAt = now();
+            sfx('spawn');
+        } else if (type === "item") {
+            itemFxAt.set(data, now());
+            sfx('item');
+        } else if (type === "eat") {
+            applyEatEffects(data.x * TILE + TILE / 2, data.y * TILE + TILE / 2, state.theme.food);
+            sfx('eat', { step: sim.score });
+            if (state.started && !state.replay && state.runBest !== null && state.bestAt === null && sim.score > state.runBest) {
+                state.bestAt = now();
+                state.bestTick = sim.tick;
+            }
+        } else if (type === "pickup") {
+            applyEatEffects(data.x * TILE + TILE / 2, data.y * TILE + TILE / 2, state.theme.items[data.type]);
+            sfx('pickup');
+        } else if (type === "grow") {
+            setupHiDPI(sim.grid);
+            sfx('grow');
+        } else if (type === "death") {
+            state.shakeUntil = sim.endedAt + SHAKE_MS;
+            sfx('death');
+        } else if (type === "win") {
+            if (data.reason === 'perfect') {
+                state.victoryAt = now();
+                sfx('perfect');
+            } else {
+                sfx('win');
             }
-            e.preventDefault();
-            return;
         }
-        if (k === "arrowup" || k === "w") nd = { x: 0, y: -1 };
-        else if (k === "arrowdown" || k === "s") nd = { x: 0, y: 1 };
-        else if (k === "arrowleft" || k === "a") nd = { x: -1, y: 0 };
-        else if (k === "arrowright" || k === "d") nd = { x: 1, y: 0 };
-        else if ([" ", "spacebar", "space", "arrowup", "arrowdown", "arrowleft", "arrowright"].includes(k) && (state.gameOver || !state.started)) {
-            e.preventDefault();
-            resetGame();
-            return;
+        trackFeat(type, data);
+    }
+
+    // ==========================
+    // Audio
+    // ==========================
+    // Sounds and music come from audio.js. The demo run behind the welcome
+    // screen stays quiet; only real runs and replays make noise.
+    function sfx(name, opts) {
+        if (state.started) audio.play(name, opts);
+    }
+
+    // Browsers keep audio locked until the first key press or tap
+    function unlockAudio() {
+        audio.unlock();
+    }
+
+    function musicMode() {
+        if (state.replay) return state.replay.paused ? 'paused' : 'play';
+        if (state.paused) return 'paused';
+        if (state.online) return isOnlineRound() ? 'play' : 'menu';
+        if (!state.started || state.editor) return 'menu';
+        return sim.gameOver ? 'over' : 'play';
+    }
+
+    function toggleMute() {
+        audio.setMuted(!audio.muted);
+        saveAudioSettings();
+        syncAudioControls();
+    }
+
+    function onVolumeInput(e) {
+        if (e.target.id !== 'volumeInput') return;
+        audio.setVolume(Number(e.target.value) / 100);
+        if (audio.muted && audio.volume > 0) audio.setMuted(false);
+        saveAudioSettings();
+        syncAudioControls();
+    }
+
+    function syncAudioControls() {
+        const btn = $('#muteBtn');
+        if (btn) {
+            btn.textContent = audio.muted ? 'Sound off' : 'Sound on';
+            btn.setAttribute('aria-pressed', String(audio.muted));
         }
-        if (!nd) return;
+        const slider = $('#volumeInput');
+        if (slider) slider.value = String(Math.round(audio.volume * 100));
+    }
 
-        queueDir(nd);
-        e.preventDefault();
+    // ==========================
+    // Themes & Skins
+    // ==========================
+    // The look belongs to the player: the active profile keeps the names
+    // of its theme and skin
+    function applyTheme() {
+        const profile = activeProfile();
+        state.theme = THEMES[profile.theme] || THEMES[DEFAULT_THEME];
+        state.skin = SKINS[profile.skin] || SKINS[DEFAULT_SKIN];
+        const style = document.documentElement.style;
+        Object.keys(THEME_VARS).forEach(name => style.setProperty(name, state.theme[THEME_VARS[name]]));
+        style.setProperty('--accent-glow', withAlpha(state.theme.accent, 0.5));
+        style.setProperty('--bonus', state.theme.items.bonus);
+        style.setProperty('--slow', state.theme.items.slow);
+        style.setProperty('--ghost', state.theme.items.ghost);
+        const themeColor = $('meta[name="theme-color"]');
+        if (themeColor) themeColor.content = state.theme.page;
     }
 
-    function onPlayClick(e) {
-        const btn = e.target.closest('#playBtn');
-        if (!btn) return;
-        resetGame();
+    // Saves the theme or skin (`key`) for the active profile
+    function setLook(key, name) {
+        const profiles = loadProfiles();
+        const profile = profiles.list.find(x => x.id === profiles.active);
+        profile[key] = name;
+        saveProfiles(profiles);
+        applyTheme();
+    }
+
+    function hexRgb(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    function withAlpha(hex, alpha) {
+        return `rgba(${hexRgb(hex).join(',')},${alpha.toFixed(3)})`;
+    }
+
+    // `a` moved `t` (0..1) of the way towards `b`
+    function mixColor(a, b, t) {
+        const ca = hexRgb(a), cb = hexRgb(b);
+        return `rgb(${ca.map((v, i) => Math.round(v + (cb[i] - v) * t)).join(',')})`;
     }
 
     // ==========================
-    // Touch (Mobile Swipe) Handling
+    // Accessibility
     // ==========================
-    let touchStartX = null;
-    let touchStartY = null;
+    const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
 
-    function onTouchStart(e) {
-        if (!e.changedTouches || e.changedTouches.length === 0) return;
-        const t = e.changedTouches[0];
-        touchStartX = t.clientX;
-        touchStartY = t.clientY;
-        e.preventDefault();
+    // Follows the system setting unless the player picked one
+    function reducedMotion() {
+        if (state.access.motion !== 'system') return state.access.motion === 'reduce';
+        return !!(motionQuery && motionQuery.matches);
     }
 
-    function onTouchMove(e) {
-        if (e.cancelable) e.preventDefault();
+    // Time between ticks of the local game, slowed down by the speed setting
+    function tickMs() {
+        return state.started ? sim.stepMs / state.access.speed : sim.stepMs;
     }
 
-    function onTouchEnd(e) {
-        if (!e.changedTouches || e.changedTouches.length === 0) return;
-        const t = e.changedTouches[0];
-        if (touchStartX === null || touchStartY === null) return;
-        const dx = t.clientX - touchStartX;
-        const dy = t.clientY - touchStartY;
+    // Screen readers pick up changes in the live regions; `urgent` ones
+    // interrupt whatever is being read
+    function announce(text, urgent) {
+        const el = $(urgent ? '#alerts' : '#announcer');
+        if (!el || !text) return;
+        // the same words again wouldn't count as a change
+        el.textContent = el.textContent === text ? text + '\u00a0' : text;
+    }
 
-        const THRESH = 24; // roughly a quick thumb flick
+    // "Food 3 right, 2 up", from player one's head
+    function foodText() {
+        if (!sim.food) return '';
+        const head = sim.snake[0];
+        const dx = sim.food.x - head.x, dy = sim.food.y - head.y;
+        const parts = [];
+        if (dx) parts.push(`${Math.abs(dx)} ${dx > 0 ? 'right' : 'left'}`);
+        if (dy) parts.push(`${Math.abs(dy)} ${dy > 0 ? 'down' : 'up'}`);
+        return `Food ${parts.join(', ')}.`;
+    }
 
-        let nd = null;
-        if (Math.abs(dx) < THRESH && Math.abs(dy) < THRESH) {
-            if (state.gameOver || !state.started) {
-                resetGame();
-            }
-            if (e.cancelable) e.preventDefault();
-            touchStartX = touchStartY = null;
+    function statusText() {
+        const heading = { U: 'up', D: 'down', L: 'left', R: 'right' }[SnakeCore.dirCode(sim.snakes[0].dir)];
+        return `Score ${scoreText()}. Heading ${heading}. ${foodText()}`;
+    }
+
+    function endText() {
+        if (sim.wonBy === 'perfect') return `Perfect game, the board is full. Score ${sim.score}.`;
+        if (sim.won) return `Level clear. Score ${sim.score}.`;
+        if (isVersus()) return sim.winner === null ? `Round over, draw.` : `Round over, player ${sim.winner + 1} wins.`;
+        return `Game over, ${DEATH_TEXT[sim.deathCause] || 'out'}. Score ${sim.score}.`;
+    }
+
+    // The first thing player one would run into within WARN_CELLS
+    function dangerAhead() {
+        const s = sim.snakes[0];
+        let cell = s.body[0];
+        for (let cells = 1; cells <= WARN_CELLS; cells++) {
+            // moveFrom() already goes through portal walls
+            const next = game.moveFrom(cell, s.dir);
+            if (game.isWallCollision(next.x, next.y)) return { what: 'Wall', cells };
+            if (game.isObstacle(next.x, next.y)) return { what: 'Obstacle', cells };
+            if (sim.occupied.has(SnakeCore.posKey(next.x, next.y)) && game.effectLeft('ghost') <= 0) return { what: 'Snake', cells };
+            cell = next;
+        }
+        return null;
+    }
+
+    // After every local tick: the score when it changes, the way to the
+    // new food, obstacles coming up and how the run ended
+    function announceTick() {
+        if (!state.access.announce) return;
+        if (sim.gameOver) {
+            announce(endText(), true);
             return;
         }
+        if (sim.snakes.some(s => s.ateOnLastStep)) {
+            const best = state.bestTick === sim.tick ? ', a new personal best' : '';
+            announce(`Score ${scoreText()}${best}. ${foodText()}`);
+        }
+        const danger = dangerAhead();
+        const key = danger ? danger.what + danger.cells : null;
+        if (key && key !== state.warned) announce(danger.cells === 1 ? `${danger.what} ahead` : `${danger.what} in ${danger.cells}`, true);
+        state.warned = key;
+    }
 
-        if (Math.abs(dx) > Math.abs(dy)) {
-            nd = (dx > 0) ? { x: 1, y: 0 } : { x: -1, y: 0 };
+    function openAccess() {
+        if (state.started || state.online || state.editor) return;
+        state.accessMenu = { populated: false };
+    }
+
+    function closeAccess() {
+        state.accessMenu = null;
+        state.welcomePopulated = false;
+    }
+
+    function onAccessClick(e) {
+        const a = state.access;
+        if (e.target.closest('#announceBtn')) {
+            a.announce = !a.announce;
+        } else if (e.target.closest('#motionBtn')) {
+            const order = ['system', 'reduce', 'full'];
+            a.motion = order[(order.indexOf(a.motion) + 1) % order.length];
+        } else if (e.target.closest('[data-game-speed]')) {
+            a.speed = Number(e.target.closest('[data-game-speed]').dataset.gameSpeed);
+        } else if (e.target.closest('#closeAccessBtn')) {
+            closeAccess();
+            return;
         } else {
-            nd = (dy > 0) ? { x: 0, y: 1 } : { x: 0, y: -1 };
+            return;
         }
-
-        queueDir(nd);
-        if (e.cancelable) e.preventDefault();
-        touchStartX = touchStartY = null;
+        saveAccessSettings();
+        state.accessMenu.populated = false;
     }
 
     // ==========================
-    // Game Lifecycle
+    // Input Handling
     // ==========================
-    function resetGame() {
-        state.grid = 8;
-        state.stepMs = 150 * (15 / state.grid);
-        state.snake = [ { x: 3, y: 3 }, { x: 2, y: 3 }, { x: 1, y: 3 } ];
-        state.dir = { x: 1, y: 0 };
-        state.queuedDirs = [];
-        // rebuild occupied set
-        state.occupied = new Set();
-        state.snake.forEach(p => state.occupied.add(posKey(p.x, p.y)));
-        state.food = spawnFood();
-        state.score = 0;
-        state.lastStepAt = 0;
-        state.gameOver = false;
-        state.ateOnLastStep = false;
-        state.runStartAt = now();
-        state.endedAt = null;
-        state.menuPopulated = false;
-        state.started = true;
-        state.welcomePopulated = false;
-        state.foodFxAt = now();
-        state.eatWave = null;
-        state.shakeUntil = null;
-        setupHiDPI(state.grid);
+    // Online, the server decides; locally the snake turns right away
+    // Returns whether the turn was taken (or, online, sent)
+    function queueDir(nd, player) {
+        if (!state.online) return game.queueDir(nd, player);
+        sendOnline({ type: 'dir', dir: SnakeCore.dirCode(nd) });
+        return true;
+    }
+
+    // The action bound to key `k`, if any
+    function keyAction(k) {
+        const keys = state.controls.keys;
+        return Object.keys(keys).find(action => keys[action].includes(k)) || null;
+    }
+
+    // In versus the first set of direction keys steers player one and the
+    // second set player two; alone, or against the bot, both sets steer
+    // the one snake
+    function actionToDir(action, player) {
+        const hit = DIR_ACTIONS[action];
+        if (!hit) return null;
+        const p = player !== undefined ? player : hit[1];
+        return { nd: Object.assign({}, SnakeCore.DIRS[hit[0]]), player: isVersus() && !state.versusBot ? p : 0 };
+    }
+
+    function keyToDir(k) {
+        return actionToDir(keyAction(k));
+    }
+
+    // Hand steering from any device
+    function steer(move) {
+        if (state.online) {
+            queueDir(move.nd);
+            return;
+        }
+        // steering by hand takes over from the autopilot
+        if (move.player === 0 && state.autopilot) setAutopilot(false);
+        queueDir(move.nd, move.player);
+    }
+
+    // The start action: resumes a paused run, or starts one from the
+    // welcome and game over screens
+    function startAction() {
+        if (state.paused) resumeGame();
+        else if (state.online || state.replay || state.editor || state.controlsMenu) return;
+        else if (sim.gameOver || !state.started) resetGame();
+    }
+
+    // The pause action: pauses and resumes a run; anywhere else it starts one
+    function pauseAction() {
+        if (isPlaying() && !state.online) pauseGame();
+        else startAction();
+    }
+
+    function onKeyDown(e) {
+        const k = e.key.toLowerCase();
+        const action = keyAction(k);
+        if (state.controlsMenu && state.controlsMenu.listening) {
+            e.preventDefault();
+            bindInput('keys', k);
+            return;
+        }
+        // works on every screen, replays included
+        if (action === 'debug') {
+            e.preventDefault();
+            state.debug = !state.debug;
+            return;
+        }
+        // Typing a seed must not steer or restart; Enter starts the run
+        if (state.replay) {
+            onReplayKey(e, k);
+            return;
+        }
+        if (state.editor) {
+            if (k === 'escape') {
+                e.preventDefault();
+                closeEditor();
+            }
+            return;
+        }
+        if (state.paused) {
+            if (action === 'pause' || action === 'start' || k === 'escape') {
+                e.preventDefault();
+                // the pause keys stop a running countdown instead of restarting it
+                if (state.resumeAt !== null && (k === 'p' || k === 'escape')) pauseGame();
+                else resumeGame();
+            }
+            return;
+        }
+        if (e.target && e.target.closest && e.target.closest('input')) {
+            if (k === 'enter') {
+                e.preventDefault();
+                if (e.target.id === 'nameInput') saveEntryName(e.target);
+                else if (state.online) joinFromInput(false);
+                else if (!state.stats && !state.accessMenu && !state.controlsMenu && !state.difficultyMenu && !state.achievementsMenu) resetGame();
+            }
+            return;
+        }
+        if (k === 'escape' && state.stats) {
+            closeStats();
+            return;
+        }
+        if (k === 'escape' && state.accessMenu) {
+            closeAccess();
+            return;
+        }
+        if (k === 'escape' && state.controlsMenu) {
+            closeControls();
+            return;
+        }
+        if (k === 'escape' && state.difficultyMenu) {
+            closeDifficulty();
+            return;
+        }
+        if (k === 'escape' && state.achievementsMenu) {
+            closeAchievements();
+            return;
+        }
+        if (action === 'fullscreen') {
+            toggleFullscreen();
+            e.preventDefault();
+            return;
+        }
+        if (action === 'mute') {
+            toggleMute();
+            return;
+        }
+        if (state.online) {
+            // either key set steers; spectators can walk out with Escape
+            const move = keyToDir(k);
+            if (move) {
+                steer(move);
+                e.preventDefault();
+            } else if (k === 'escape' && state.online.role === 'spectator') {
+                leaveOnline();
+            }
+            return;
+        }
+        if (action === 'pause' && isPlaying()) {
+            e.preventDefault();
+            pauseGame();
+            return;
+        }
+        if (action === 'autopilot' && isPlaying()) {
+            setAutopilot(!state.autopilot);
+            return;
+        }
+        if (action === 'locate' && isPlaying()) {
+            announce(statusText());
+            return;
+        }
+        if (action === 'hints') {
+            state.hints = !state.hints;
+            if (state.hints && isPlaying()) state.assisted = true;
+            return;
+        }
+        const move = keyToDir(k);
+        if (!move && action === 'start' && (sim.gameOver || !state.started)) {
+            e.preventDefault();
+            startAction();
+            return;
+        }
+        if (!move) return;
+        steer(move);
+        e.preventDefault();
+    }
+
+    function onPlayClick(e) {
+        if (e.target.closest('button')) audio.play('click');
+        if (e.target.closest('#muteBtn')) {
+            toggleMute();
+            return;
+        }
+        if (e.target.closest('#fullscreenBtn')) {
+            toggleFullscreen();
+            return;
+        }
+        if (e.target.closest('#updateBar')) {
+            onUpdateBarClick(e.target.closest('button'));
+            return;
+        }
+        if (state.online) {
+            onOnlineClick(e);
+            return;
+        }
+        if (state.paused) {
+            if (e.target.closest('#playBtn')) resumeGame();
+            else if (e.target.closest('#quitBtn')) quitToWelcome();
+            return;
+        }
+        if (e.target.closest('#playBtn')) resetGame();
+        else if (e.target.closest('#dailyBtn')) resetGame({ daily: true });
+        else if (e.target.closest('[data-mode]')) selectMode(e.target.closest('[data-mode]').dataset.mode);
+        else if (e.target.closest('#shareSeedBtn')) copySeedLink(e.target.closest('#shareSeedBtn'));
+        else if (e.target.closest('#watchReplayBtn') && state.lastReplay) startReplay(state.lastReplay);
+        else if (e.target.closest('#exportReplayBtn') && state.lastReplay) exportReplay(state.lastReplay);
+        else if (e.target.closest('#shareBtn')) toggleShareOptions(e.target.closest('#shareBtn'));
+        else if (e.target.closest('#shareWebmBtn') && state.lastReplay) startClip('webm');
+        else if (e.target.closest('#shareGifBtn') && state.lastReplay) startClip('gif');
+        else if (e.target.closest('#shareCardBtn') && state.lastReplay) saveScoreCard();
+        else if (e.target.closest('#importReplayBtn')) $('#replayFile').click();
+        else if (e.target.closest('#importGhostBtn')) $('#ghostFile').click();
+        else if (e.target.closest('#dropGhostBtn')) {
+            state.ghostImport = null;
+            state.welcomePopulated = false;
+        }
+        else if (e.target.closest('[data-replay-id]')) {
+            const replay = findStoredReplay(Number(e.target.closest('[data-replay-id]').dataset.replayId));
+            if (replay) {
+                // replays from older versions no longer match the rules
+                try { startReplay(SnakeCore.parseReplay(replay)); }
+                catch (err) {
+                    const note = $('#menu .note');
+                    if (note) note.textContent = 'Could not load replay: ' + err.message;
+                }
+            }
+        }
+        else if (e.target.closest('#replayBar')) onReplayBarClick(e.target.closest('button'));
+        else if (e.target.closest('#loadLevelBtn')) $('#levelFile').click();
+        else if (e.target.closest('#unloadLevelBtn')) unloadLevel();
+        else if (e.target.closest('#editLevelBtn')) openEditor(state.testingLevel || state.level);
+        else if (e.target.closest('#editorBar')) onEditorBarClick(e.target.closest('button'));
+        else if (e.target.closest('#onlineBtn')) goOnline(null);
+        else if (e.target.closest('#statsBtn')) openStats();
+        else if (e.target.closest('#accessBtn')) openAccess();
+        else if (e.target.closest('#controlsBtn')) openControls();
+        else if (e.target.closest('#difficultyBtn')) openDifficulty();
+        else if (e.target.closest('#achievementsBtn')) openAchievements();
+        else if (state.stats) onStatsClick(e);
+        else if (state.accessMenu) onAccessClick(e);
+        else if (state.controlsMenu) onControlsClick(e);
+        else if (state.difficultyMenu) onDifficultyClick(e);
+        else if (state.achievementsMenu) onAchievementsClick(e);
+        else if (e.target.closest('#opponentBtn')) {
+            state.versusBot = !state.versusBot;
+            state.welcomePopulated = false;
+        } else if (e.target.closest('#comboBtn')) {
+            state.combo = !state.combo;
+            saveCombo(state.combo);
+            state.welcomePopulated = false;
+        }
+    }
+
+    function copySeedLink(btn) {
+        if (!sim.seed) return;
+        copyLink(seedLink(sim.seed), btn);
+    }
+
+    // Copies `link`; without clipboard access the button shows it instead
+    function copyLink(link, btn) {
+        const done = () => { btn.textContent = 'Link copied'; };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(done, () => { btn.textContent = link; });
+        } else {
+            btn.textContent = link;
+        }
+    }
+
+    // ==========================
+    // Gamepads
+    // ==========================
+    // Polled once a frame. Buttons and the stick act when they go down, not
+    // while held, so a held direction doesn't keep queueing turns.
+    const padStates = new Map();         // gamepad index -> { pressed, stick }
+
+    function pollGamepads() {
+        if (!navigator.getGamepads) return;
+        let slot = 0;
+        Array.from(navigator.getGamepads()).forEach(pad => {
+            if (pad && pad.connected) readPad(pad, slot++);
+        });
+    }
+
+    function stickDir(pad) {
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (Math.max(Math.abs(x), Math.abs(y)) < STICK_DEADZONE) return null;
+        if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+        return y > 0 ? 'down' : 'up';
+    }
+
+    // `slot` counts the connected pads: in versus the second one steers
+    // player two
+    function readPad(pad, slot) {
+        const prev = padStates.get(pad.index) || { pressed: [], stick: null };
+        const pressed = pad.buttons.map(b => b.pressed || b.value > 0.5);
+        const stick = stickDir(pad);
+        padStates.set(pad.index, { pressed, stick });
+        const fresh = pressed.map((on, i) => on && !prev.pressed[i]);
+        if (state.controlsMenu && state.controlsMenu.listening) {
+            if (fresh.includes(true)) bindInput('pad', fresh.indexOf(true));
+            return;
+        }
+        const bindings = state.controls.pad;
+        const actions = Object.keys(bindings).filter(action => bindings[action].some(b => fresh[b]));
+        if (stick && stick !== prev.stick) actions.push(stick);
+        actions.forEach(action => {
+            if (action === 'start') startAction();
+            else if (action === 'pause') pauseAction();
+            else if (!state.replay && !state.editor && !state.paused) {
+                const move = actionToDir(action, Math.min(slot, 1));
+                if (move) steer(move);
+            }
+        });
+    }
+
+    function onGamepadChange(e) {
+        if (e.type === 'gamepaddisconnected') padStates.delete(e.gamepad.index);
+        if (state.controlsMenu) state.controlsMenu.populated = false;
+    }
+
+    // ==========================
+    // Controls Screen
+    // ==========================
+    function openControls() {
+        if (state.started || state.online || state.editor) return;
+        state.controlsMenu = { populated: false, listening: null };
+    }
+
+    function closeControls() {
+        state.controlsMenu = null;
+        state.welcomePopulated = false;
+    }
+
+    function onControlsClick(e) {
+        const menu = state.controlsMenu;
+        const bind = e.target.closest('[data-bind]');
+        if (bind) {
+            menu.listening = { device: bind.dataset.bind, action: bind.dataset.action };
+        } else if (e.target.closest('#resetControlsBtn')) {
+            try { localStorage.removeItem(CONTROLS_KEY); } catch {}
+            state.controls = loadControls();
+        } else if (e.target.closest('#closeControlsBtn')) {
+            closeControls();
+            return;
+        } else {
+            return;
+        }
+        menu.populated = false;
+    }
+
+    function onControlsInput(e) {
+        if (e.target.id !== 'swipeInput' || !state.controlsMenu) return;
+        state.controls.swipe = Number(e.target.value);
+        saveControls();
+        const out = $('#swipeValue');
+        if (out) out.textContent = `${state.controls.swipe}px`;
+    }
+
+    // Binds the key or button just pressed (`input`) to the action waiting
+    // for one; an input only ever does one thing. Escape cancels.
+    function bindInput(device, input) {
+        const menu = state.controlsMenu;
+        const listening = menu.listening;
+        if (input === 'escape' || listening.device === device) {
+            menu.listening = null;
+            menu.populated = false;
+        }
+        if (input === 'escape' || listening.device !== device) return;
+        const bindings = state.controls[device];
+        Object.keys(bindings).forEach(action => {
+            bindings[action] = bindings[action].filter(x => x !== input);
+        });
+        bindings[listening.action] = [input];
+        saveControls();
+    }
+
+    function keyName(k) {
+        return KEY_NAMES[k] || (k.length === 1 ? k.toUpperCase() : k.charAt(0).toUpperCase() + k.slice(1));
+    }
+
+    // "W", "Space / Esc"; `none` when nothing is bound
+    function bindingText(device, action, none) {
+        const list = state.controls[device][action] || [];
+        if (!list.length) return none;
+        return list.map(x => (device === 'pad' ? PAD_NAMES[x] || `Button ${x}` : keyName(x))).join(' / ');
+    }
+
+    // One player's direction keys, e.g. "WASD" or "↑←↓→"
+    function dirKeysText(second) {
+        const names = ['up', 'left', 'down', 'right'].map(d => bindingText('keys', second ? d + '2' : d, '–'));
+        return names.every(n => n.length === 1) ? names.join('') : names.join(' ');
+    }
+
+    // ==========================
+    // Difficulty Screen
+    // ==========================
+    function difficultyName(key) {
+        return key === 'custom' ? 'Custom' : SnakeCore.DIFFICULTIES[key].name;
+    }
+
+    // What the next run is started with: a preset name or custom values,
+    // and nothing for normal, so plain runs keep the plain config
+    function difficultyConfig() {
+        const d = state.difficulty;
+        if (d.preset === 'custom') return Object.assign({}, d.custom);
+        return d.preset === SnakeCore.DEFAULT_DIFFICULTY ? undefined : d.preset;
+    }
+
+    function openDifficulty() {
+        if (state.started || state.online || state.editor) return;
+        state.difficultyMenu = { populated: false };
+    }
+
+    function closeDifficulty() {
+        state.difficultyMenu = null;
+        state.welcomePopulated = false;
+    }
+
+    function onDifficultyClick(e) {
+        const preset = e.target.closest('[data-difficulty]');
+        if (preset) {
+            state.difficulty.preset = preset.dataset.difficulty;
+            saveDifficulty();
+            state.difficultyMenu.populated = false;
+        } else if (e.target.closest('#closeDifficultyBtn')) {
+            closeDifficulty();
+        }
+    }
+
+    // Changing a value switches to custom, starting from what was shown.
+    // Values are pulled into range rather than refused.
+    function onDifficultyChange(e) {
+        if (!state.difficultyMenu || !e.target.dataset || !e.target.dataset.setting) return;
+        const d = state.difficulty;
+        const values = d.preset === 'custom' ? d.custom : difficultyValues(d.preset);
+        const custom = {};
+        DIFFICULTY_FIELDS.forEach(f => {
+            const [min, max] = SnakeCore.DIFFICULTY_LIMITS[f.key];
+            const input = $(`[data-setting="${f.key}"]`);
+            let v = input ? Number(input.value) / (f.scale || 1) : NaN;
+            if (!Number.isFinite(v)) v = values[f.key];
+            if (f.step === 1) v = Math.round(v);
+            custom[f.key] = Math.max(min, Math.min(max, v));
+        });
+        // the grid that was just changed wins
+        if (custom.maxGrid < custom.startGrid) {
+            if (e.target.dataset.setting === 'maxGrid') custom.startGrid = custom.maxGrid;
+            else custom.maxGrid = custom.startGrid;
+        }
+        state.difficulty = { preset: 'custom', custom };
+        saveDifficulty();
+        state.difficultyMenu.populated = false;
+    }
+
+    // ==========================
+    // Touch (Mobile Swipe) Handling
+    // ==========================
+    let touchStartX = null;
+    let touchStartY = null;
+
+    // Taps on menu controls must stay clicks, not swipes
+    function isUiTouch(e) {
+        return !!(e.target && e.target.closest && e.target.closest('button, input'));
+    }
+
+    function onTouchStart(e) {
+        if (isUiTouch(e) || state.editor) return;
+        if (!e.changedTouches || e.changedTouches.length === 0) return;
+        const t = e.changedTouches[0];
+        touchStartX = t.clientX;
+        touchStartY = t.clientY;
+        e.preventDefault();
+    }
+
+    function onTouchMove(e) {
+        if (isUiTouch(e)) return;
+        if (e.cancelable) e.preventDefault();
+    }
+
+    function onTouchEnd(e) {
+        if (isUiTouch(e) || state.replay || state.editor) return;
+        if (!e.changedTouches || e.changedTouches.length === 0) return;
+        const t = e.changedTouches[0];
+        if (touchStartX === null || touchStartY === null) return;
+        const dx = t.clientX - touchStartX;
+        const dy = t.clientY - touchStartY;
+
+        const THRESH = state.controls.swipe;
+
+        let nd = null;
+        if (Math.abs(dx) < THRESH && Math.abs(dy) < THRESH) {
+            if (state.online) {
+                // taps don't start anything online
+            } else if (state.paused) {
+                resumeGame();
+            } else if (sim.gameOver || !state.started) {
+                resetGame();
+            }
+            if (e.cancelable) e.preventDefault();
+            touchStartX = touchStartY = null;
+            return;
+        }
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            nd = (dx > 0) ? { x: 1, y: 0 } : { x: -1, y: 0 };
+        } else {
+            nd = (dy > 0) ? { x: 0, y: 1 } : { x: 0, y: -1 };
+        }
+
+        queueDir(nd);
+        if (e.cancelable) e.preventDefault();
+        touchStartX = touchStartY = null;
+    }
+
+    // ==========================
+    // Game Lifecycle
+    // ==========================
+    function resetGame(opts) {
+        const o = opts || {};
+        state.daily = o.daily ? todayKey() : null;
+        // an imported ghost is raced on the seed and settings it was played on
+        const race = !state.daily && !state.level && !o.seed && state.ghostImport ? state.ghostImport.config : null;
+        const seed = state.daily ? SnakeCore.dailySeed(state.daily) : race ? String(race.seed) : (o.seed || seedInputValue() || randomSeed());
+        // left out when off, so plain runs keep the plain config
+        const combo = race ? race.combo : state.combo || undefined;
+        const difficulty = race ? race.difficulty : difficultyConfig();
+        if (state.level && !state.daily) game.reset({ level: state.level, seed, combo, difficulty });
+        else game.reset({ mode: race ? race.mode : state.mode, seed, combo, difficulty });
+        if (matchWinner() >= 0) state.match = newMatch();
+        state.autopilot = false;
+        state.assisted = state.hints;
+        state.hint = null;
+        state.stats = null;
+        state.accessMenu = null;
+        state.controlsMenu = null;
+        state.difficultyMenu = null;
+        state.achievementsMenu = null;
+        state.warned = null;
+        state.nameEntryId = 0;
+        state.globalBoard = null;
+        releaseQueuedRuns();
+        if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+        state.stepAcc = 0;
+        frameStats.dropped = 0;
+        clearPause();
+        state.menuPopulated = false;
+        state.started = true;
+        state.welcomePopulated = false;
+        state.foodFxAt = now();
+        state.eatWave = null;
+        state.shakeUntil = null;
+        state.victoryAt = null;
+        state.agentMoved = false;
+        state.runBest = personalBest();
+        state.bestAt = null;
+        state.bestTick = null;
+        state.ghost = startGhost();
+        saveFeats();
+        state.feats = startFeats();
+        setupHiDPI(sim.grid);
+        audio.play('start');
+        if (state.access.announce) announce(`Go. ${foodText()}`);
+        notifyAgents();
+    }
+
+    // ==========================
+    // Pause / Resume
+    // ==========================
+    function isPlaying() {
+        return state.started && !sim.gameOver && !state.replay && !state.paused;
+    }
+
+    function pauseGame() {
+        if (!state.started || sim.gameOver || state.replay) return;
+        if (state.paused) {
+            // pausing again during the countdown just cancels it
+            state.resumeAt = null;
+            state.pausePopulated = false;
+            return;
+        }
+        state.paused = true;
+        state.pausedAt = now();
+        state.resumeAt = null;
+        state.pausePopulated = false;
+    }
+
+    function resumeGame() {
+        if (!state.paused || state.resumeAt !== null) return;
+        state.resumeAt = now() + RESUME_COUNTDOWN * COUNTDOWN_STEP_MS;
+        state.pausePopulated = false;
+    }
+
+    // Ends the pause once the countdown ran out; returns true while still paused
+    function updatePause(ts) {
+        if (!state.paused) return false;
+        if (state.resumeAt === null || ts < state.resumeAt) return true;
+        // the accumulator stood still meanwhile, so play picks up mid-step
+        state.pausedMs += ts - state.pausedAt;
+        clearPause();
+        return false;
+    }
+
+    function clearPause() {
+        state.paused = false;
+        state.pausedAt = null;
+        state.resumeAt = null;
+        state.pausePopulated = false;
+    }
+
+    function selectMode(mode) {
+        if (!SnakeCore.MODES[mode] || (state.started && !sim.gameOver) || state.replay) return;
+        if (state.ghostImport && ghostMode(state.ghostImport) !== mode) state.ghostImport = null;
+        state.mode = mode;
+        state.level = null;
+        state.testingLevel = null;
+        state.match = newMatch();
+        saveMode(mode);
+        resetToWelcome();
+    }
+
+    function quitToWelcome() {
+        clearPause();
+        state.match = newMatch();
+        resetToWelcome();
+    }
+
+    function onVisibilityChange() {
+        if (document.hidden) pauseGame();
+    }
+
+    function onWindowBlur() {
+        pauseGame();
+    }
+
+    // ==========================
+    // Update Step
+    // ==========================
+    function applyEatEffects(cx, cy, color) {
+        const start = now();
+        state.eatWave = { x: cx, y: cy, start, color };
+    }
+
+    function step() {
+        driveBots();
+        game.step();
+        frameStats.steps += 1;
+    }
+
+    // ==========================
+    // Autopilot
+    // ==========================
+    // Players the bot steers right now; on the welcome screen it plays a
+    // demo run with every snake
+    function botPlayers() {
+        if (state.replay || state.online || state.editor) return [];
+        if (!state.started) return sim.snakes.map((s, i) => i);
+        const players = [];
+        if (state.autopilot) players.push(0);
+        if (state.versusBot && isVersus()) players.push(1);
+        return players;
+    }
+
+    function driveBots() {
+        botPlayers().forEach(p => {
+            if (!sim.snakes[p].queuedDirs.length) game.queueDir(SnakeBot.plan(game, p).dir, p);
+        });
+    }
+
+    function setAutopilot(on) {
+        state.autopilot = on;
+        if (on) state.assisted = true;
+    }
+
+    function isAttract() {
+        return !state.started && !state.editor && !state.online && !state.replay;
+    }
+
+    // Welcome screen demo: the bot plays, and starts over after it dies
+    function updateAttract(ts, dt) {
+        if (sim.gameOver) {
+            if (state.attractEndedAt === null) state.attractEndedAt = ts;
+            else if (ts - state.attractEndedAt >= ATTRACT_RESTART_MS) resetPreview();
+            return;
+        }
+        runDueSteps(ts, dt, step);
+    }
+
+    // Suggested route for player one, worked out once per tick
+    function hintPath() {
+        if (!state.hints || !state.started || sim.gameOver || state.replay || state.online || state.autopilot) return null;
+        if (!state.hint || state.hint.tick !== sim.tick) state.hint = { tick: sim.tick, path: SnakeBot.plan(game, 0).path };
+        return state.hint.path;
+    }
+
+    // ==========================
+    // Scripting API
+    // ==========================
+    // window.snake lets agents written outside the game play local runs;
+    // see "Scripting" in the README
+    const agentListeners = new Set();
+
+    function deepFreeze(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(deepFreeze);
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    function observe(player) {
+        return deepFreeze(game.observe(player));
+    }
+
+    // Tells every onTick() listener about the new board
+    function notifyAgents() {
+        if (!agentListeners.size) return;
+        const obs = observe(0);
+        agentListeners.forEach(fn => {
+            // a failing listener must not stop the game or the others
+            try { fn(obs); }
+            catch {}
+        });
+    }
+
+    // `dir` is "U" | "D" | "L" | "R", a direction like SnakeCore.DIRS.up,
+    // or null to keep going; any call counts as the agent's move in lock-step
+    function setDirection(dir, player) {
+        if (!isPlaying() || state.online) return false;
+        const nd = typeof dir === 'string' ? SnakeCore.DIR_CODES[dir.toUpperCase()] : dir;
+        state.agentMoved = true;
+        state.assisted = true;
+        return nd ? queueDir(nd, player) : false;
+    }
+
+    // Starts a new run, optionally with a `seed` and in another `mode`
+    function startRun(opts) {
+        const o = opts || {};
+        if (state.online || state.replay || state.editor) return false;
+        if (o.mode && o.mode !== state.mode) {
+            if (!SnakeCore.MODES[o.mode]) return false;
+            state.mode = o.mode;
+            state.level = null;
+            state.testingLevel = null;
+            state.match = newMatch();
+            state.ghostImport = null;
+        }
+        resetGame({ seed: o.seed ? String(o.seed) : null });
+        return true;
+    }
+
+
+    window.snake = Object.freeze({
+        observe: player => observe(player),
+        setDirection,
+        start: startRun,
+        lockStep(on) {
+            state.lockStep = !!on;
+            state.agentMoved = false;
+            return state.lockStep;
+        },
+        // `fn(observation)` after every tick and at the start of a run;
+        // returns a function that unsubscribes it
+        onTick(fn) {
+            agentListeners.add(fn);
+            return () => agentListeners.delete(fn);
+        },
+    });
+
+    // ==========================
+    // Replays
+    // ==========================
+    function startReplay(replay) {
+        state.ghost = null;
+        state.replay = {
+            player: SnakeCore.createReplayer(game, replay),
+            speed: 1,
+            paused: false,
+            clock: 0,            // recorded ms since run start
+            lastFrameAt: 0,
+        };
+        state.started = true;
+        state.eatWave = null;
+        state.shakeUntil = null;
+        state.victoryAt = null;
+        setupHiDPI(sim.grid);
+        const bar = $('#replayBar');
+        if (bar) {
+            bar.hidden = false;
+            bar.querySelector('#replaySeek').max = String(state.replay.player.total);
+        }
+        updateReplayBar();
+    }
+
+    function stopReplay() {
+        state.replay = null;
+        const bar = $('#replayBar');
+        if (bar) bar.hidden = true;
+        resetToWelcome();
+    }
+
+    function seekReplay(tick) {
+        const r = state.replay;
+        r.player.seek(tick);
+        r.clock = r.player.timeAt(sim.tick);
+        state.eatWave = null;
+        state.shakeUntil = null;
+        state.victoryAt = null;
+        setupHiDPI(sim.grid);
+        updateReplayBar();
+    }
+
+    function setReplaySpeed(speed) {
+        state.replay.speed = speed;
+        updateReplayBar();
+    }
+
+    function toggleReplayPause() {
+        const r = state.replay;
+        // restart from the top when play is pressed at the end
+        if (r.paused && sim.gameOver) seekReplay(0);
+        r.paused = !r.paused;
+        updateReplayBar();
+    }
+
+    function onReplayKey(e, k) {
+        // a clip plays on its own; it can only be stopped
+        if (state.clip) {
+            if (k === 'escape') cancelClip();
+            e.preventDefault();
+            return;
+        }
+        if (k === ' ' || k === 'spacebar' || k === 'k') toggleReplayPause();
+        else if (k === 'escape') stopReplay();
+        else if (k === 'arrowleft') seekReplay(sim.tick - REPLAY_SEEK_TICKS);
+        else if (k === 'arrowright') seekReplay(sim.tick + REPLAY_SEEK_TICKS);
+        else if (k === 'arrowup' || k === 'arrowdown') {
+            const i = REPLAY_SPEEDS.indexOf(state.replay.speed) + (k === 'arrowup' ? 1 : -1);
+            setReplaySpeed(REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, i))]);
+        }
+        else return;
+        e.preventDefault();
+    }
+
+    function onReplayBarClick(btn) {
+        if (!btn || !state.replay) return;
+        const act = btn.dataset.act;
+        if (act === 'pause') toggleReplayPause();
+        else if (act === 'speed') setReplaySpeed(Number(btn.dataset.speed));
+        else if (act === 'export') exportReplay(state.replay.player.replay);
+        else if (act === 'close') stopReplay();
+    }
+
+    function onReplaySeekInput(e) {
+        if (!state.replay || e.target.id !== 'replaySeek') return;
+        seekReplay(Number(e.target.value));
+    }
+
+    // Steps through every recorded tick that is due on the replay clock
+    function updateReplay(ts) {
+        const r = state.replay;
+        const dt = r.lastFrameAt ? ts - r.lastFrameAt : 0;
+        r.lastFrameAt = ts;
+        if (r.paused) return;
+        r.clock += dt * r.speed;
+        while (!sim.gameOver && sim.tick < r.player.total && r.player.timeAt(sim.tick + 1) <= r.clock) {
+            r.player.advance();
+        }
+        if (sim.gameOver || sim.tick >= r.player.total) r.paused = true;
+        updateReplayBar();
+    }
+
+    function updateReplayBar() {
+        const bar = $('#replayBar');
+        const r = state.replay;
+        if (!bar || !r) return;
+        bar.querySelector('[data-act="pause"]').textContent = r.paused ? 'Play' : 'Pause';
+        bar.querySelectorAll('[data-act="speed"]').forEach(b => {
+            b.classList.toggle('active', Number(b.dataset.speed) === r.speed);
+        });
+        bar.querySelector('#replaySeek').value = String(sim.tick);
+        bar.querySelector('.time').textContent = `${formatTime(r.clock)} · ${scoreText()}`;
+    }
+
+    function exportReplay(replay) {
+        downloadJson(replay, `snake-replay-${replay.config.seed}-${replay.score}.json`);
+    }
+
+    // How a replay ends when it's played through on a game of its own,
+    // whatever the file says about it
+    function finalState(replay) {
+        const g = SnakeCore.createGame();
+        const player = SnakeCore.createReplayer(g, replay);
+        player.seek(player.total);
+        return g.state;
+    }
+
+    function onReplayFileChange(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            startReplay(SnakeCore.parseReplay(text));
+        }).catch(err => {
+            const note = $('#menu .note');
+            if (note) note.textContent = 'Could not load replay: ' + err.message;
+        });
+    }
+
+    // ==========================
+    // Sharing
+    // ==========================
+    // Clips and score cards are made in the browser and saved as
+    // downloads; nothing is uploaded. A clip plays the end of the run
+    // back through the replay player and records the board as it's drawn.
+    function webmType() {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) return null;
+        return CLIP_WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || null;
+    }
+
+    function shareHtml() {
+        return `
+            <button id="shareBtn" type="button" aria-expanded="false">Share</button>
+            <div class="share-options" hidden>
+                ${webmType() ? '<button id="shareWebmBtn" type="button">Clip (WebM)</button>' : ''}
+                <button id="shareGifBtn" type="button">Clip (GIF)</button>
+                <button id="shareCardBtn" type="button">Score card</button>
+            </div>
+        `;
+    }
+
+    function toggleShareOptions(btn) {
+        const options = $('#menu .share-options');
+        if (!options) return;
+        options.hidden = !options.hidden;
+        btn.setAttribute('aria-expanded', String(!options.hidden));
+    }
+
+    function shareName(kind, ext) {
+        const replay = state.lastReplay;
+        return `snake-${kind}-${replay.config.seed}-${replay.score}.${ext}`;
+    }
+
+    function shareNote(text) {
+        const note = $('#menu .note');
+        if (note) note.textContent = text;
+    }
+
+    function startClip(format) {
+        if (state.clip) return;
+        const replay = state.lastReplay;
+        startReplay(replay);
+        const p = state.replay.player;
+        const from = p.timeAt(p.total) - CLIP_MS;
+        let tick = 0;
+        while (tick < p.total && p.timeAt(tick) < from) tick++;
+        seekReplay(tick);
+        const bar = $('#replayBar');
+        if (bar) bar.hidden = true;
+
+        const clip = { format, endAt: null, recorder: null, gif: null, frame: null, nextFrameAt: null };
+        if (format === 'webm') {
+            const type = webmType();
+            const stream = canvas.captureStream();
+            const chunks = [];
+            clip.recorder = new MediaRecorder(stream, { mimeType: type });
+            clip.recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+            clip.recorder.onstop = () => {
+                stream.getTracks().forEach(t => t.stop());
+                if (clip.cancelled) return;
+                downloadBlob(new Blob(chunks, { type: 'video/webm' }), shareName('clip', 'webm'));
+            };
+            clip.recorder.start();
+        } else {
+            clip.frame = document.createElement('canvas');
+            clip.frame.width = Math.min(canvas.width, CLIP_GIF_SIZE);
+            clip.frame.height = Math.round(clip.frame.width * canvas.height / canvas.width);
+            clip.gif = SnakeGif.createGif(clip.frame.width, clip.frame.height);
+        }
+        state.clip = clip;
+        showToast(`<strong>Recording</strong>The last ${Math.round(CLIP_MS / 1000)} seconds · Esc to stop`);
+    }
+
+    // After every frame while a clip records: takes GIF frames on a
+    // steady beat, and stops a moment after the run has ended
+    function updateClip(ts) {
+        const c = state.clip;
+        if (c.gif && (c.nextFrameAt === null || ts >= c.nextFrameAt)) {
+            const fctx = c.frame.getContext('2d');
+            fctx.drawImage(canvas, 0, 0, c.frame.width, c.frame.height);
+            c.gif.addFrame(fctx.getImageData(0, 0, c.frame.width, c.frame.height).data, CLIP_GIF_FRAME_MS);
+            c.nextFrameAt = (c.nextFrameAt ?? ts) + CLIP_GIF_FRAME_MS;
+        }
+        if (c.endAt === null && state.replay.paused) c.endAt = ts + CLIP_HOLD_MS;
+        if (c.endAt !== null && ts >= c.endAt) finishClip();
+    }
+
+    function finishClip() {
+        const c = endClip();
+        if (c.recorder) c.recorder.stop();   // saved once the last data is in
+        else downloadBlob(new Blob([c.gif.finish()], { type: 'image/gif' }), shareName('clip', 'gif'));
+        shareNote('Clip saved');
+    }
+
+    function cancelClip() {
+        const c = endClip();
+        c.cancelled = true;
+        if (c.recorder) c.recorder.stop();
+        shareNote('');
+    }
+
+    // Back to the game over screen, with the board as the run left it
+    function endClip() {
+        const c = state.clip;
+        const p = state.replay.player;
+        if (!sim.gameOver) p.seek(p.total);
+        state.clip = null;
+        state.replay = null;
+        setupHiDPI(sim.grid);
+        return c;
+    }
+
+    // The board as the run left it, drawn flat: walls, portals, food,
+    // items and snakes
+    function drawCardBoard(c, st, x, y, size) {
+        const theme = state.theme;
+        const cell = size / st.grid;
+        const dot = (p, color) => {
+            c.fillStyle = color;
+            c.beginPath();
+            c.arc(x + (p.x + 0.5) * cell, y + (p.y + 0.5) * cell, cell * 0.32, 0, Math.PI * 2);
+            c.fill();
+        };
+        c.fillStyle = theme.board;
+        c.fillRect(x, y, size, size);
+        c.fillStyle = theme.wall;
+        st.walls.forEach(k => {
+            const [wx, wy] = k.split(',').map(Number);
+            c.fillRect(x + wx * cell, y + wy * cell, cell, cell);
+        });
+        st.portals.forEach((to, k) => {
+            const [px, py] = k.split(',').map(Number);
+            dot({ x: px, y: py }, theme.mark);
+        });
+        if (st.food) dot(st.food, theme.food);
+        st.items.forEach(it => dot(it, theme.items[it.type]));
+        const gap = Math.max(1, cell * 0.08);
+        st.snakes.forEach((snake, i) => {
+            c.fillStyle = theme.snakes[i % theme.snakes.length];
+            snake.body.forEach(p => c.fillRect(x + p.x * cell + gap, y + p.y * cell + gap, cell - gap * 2, cell - gap * 2));
+        });
+        c.strokeStyle = theme.boardEdge;
+        c.lineWidth = 2;
+        c.strokeRect(x, y, size, size);
+    }
+
+    // A picture of how the run ended, with its score, time and board
+    // size; made from the replay alone, since the board may be showing
+    // another run by now
+    function saveScoreCard() {
+        const replay = state.lastReplay;
+        const config = replay.config;
+        const st = finalState(replay);
+        const theme = state.theme;
+        const card = document.createElement('canvas');
+        card.width = CARD_W;
+        card.height = CARD_H;
+        const c = card.getContext('2d');
+        const font = getComputedStyle(document.body).fontFamily;
+        const pad = 32;
+        const boardSize = CARD_W - pad * 2;
+        c.fillStyle = theme.page;
+        c.fillRect(0, 0, CARD_W, CARD_H);
+        drawCardBoard(c, st, pad, pad, boardSize);
+
+        const perfect = st.wonBy === 'perfect';
+        const title = perfect ? 'PERFECT GAME' : st.won ? 'LEVEL CLEAR' : 'GAME OVER';
+        const daily = /^daily-(\d{4}-\d{2}-\d{2})$/.exec(String(config.seed));
+        const place = daily ? `Daily ${daily[1]}` : `Seed ${config.seed}`;
+        const mode = st.level ? st.level.name : modeTitle(st.mode, st.combo, st.difficulty.key);
+        let y = pad + boardSize + 44;
+        c.textBaseline = 'alphabetic';
+        c.fillStyle = perfect ? theme.items.bonus : theme.accent;
+        c.font = `700 22px ${font}`;
+        c.fillText(title, pad, y);
+        c.fillStyle = theme.text;
+        c.font = `700 64px ${font}`;
+        c.textAlign = 'right';
+        c.fillText(String(st.score), CARD_W - pad, y + 20);
+        c.textAlign = 'left';
+        c.font = `600 18px ${font}`;
+        c.globalAlpha = 0.8;
+        y += 34;
+        c.fillText(`${formatTime(replay.timeMs)} · ${st.grid}×${st.grid} board`, pad, y);
+        y += 28;
+        c.fillText(`${mode} · ${place}`, pad, y);
+        c.globalAlpha = 1;
+
+        card.toBlob(blob => {
+            if (!blob) return shareNote('Could not make the score card');
+            downloadBlob(blob, shareName('card', 'png'));
+            shareNote('Score card saved');
+        }, 'image/png');
+    }
+
+    // ==========================
+    // Ghost Racing
+    // ==========================
+    // The best earlier run on the same board and seed plays back next to
+    // the live one. It runs on a game of its own, so it never collides
+    // with anything, and it keeps the pace it was recorded at.
+    function ghostMode(replay) {
+        return replay.config.mode || SnakeCore.DEFAULT_MODE;
+    }
+
+    // Runs that can race each other: same mode, seed, combos and difficulty
+    function raceKey(config) {
+        let difficulty;
+        try { difficulty = SnakeCore.parseDifficulty(config.difficulty); }
+        catch { return null; }
+        return JSON.stringify([config.mode || SnakeCore.DEFAULT_MODE, String(config.seed), !!config.combo, difficulty]);
+    }
+
+    // An imported ghost for this run, or else the player's own best
+    // stored run; none for levels, versus or replays from older versions
+    function findGhost() {
+        if (state.level || isVersus()) return null;
+        const key = raceKey(Object.assign({}, sim.config, { seed: sim.seed }));
+        if (state.ghostImport && raceKey(state.ghostImport.config) === key) return { replay: state.ghostImport, own: false };
+        const board = scoreBoard(sim.mode, sim.combo, sim.difficulty.key);
+        const list = state.daily ? loadDailyScores(state.daily, board) : loadHighscores(board);
+        const profile = activeProfile().id;
+        for (const e of list) {
+            if (e.profile !== profile || !e.replay) continue;
+            try {
+                const replay = SnakeCore.parseReplay(e.replay);
+                if (raceKey(replay.config) === key) return { replay, own: true };
+            } catch {}
+        }
+        return null;
+    }
+
+    function startGhost() {
+        const found = findGhost();
+        if (!found) return null;
+        const ghostGame = SnakeCore.createGame();
+        return { game: ghostGame, player: SnakeCore.createReplayer(ghostGame, found.replay), own: found.own };
+    }
+
+    function runElapsed() {
+        return (sim.endedAt ?? gameNow()) - sim.runStartAt;
+    }
+
+    // Catches the ghost up with the live run's clock
+    function updateGhost() {
+        const g = state.ghost;
+        if (!g) return;
+        const elapsed = runElapsed();
+        while (!g.game.state.gameOver && g.game.state.tick < g.player.total && g.player.timeAt(g.game.state.tick + 1) <= elapsed) {
+            g.player.advance();
+        }
+    }
+
+    function ghostDone(g) {
+        return g.game.state.gameOver || g.game.state.tick >= g.player.total;
+    }
+
+    // Translucent, on the live board. A grown board adds cells on every
+    // side, so a ghost on a smaller one is shifted into the middle; with
+    // portal walls the edges wouldn't line up, so it only shows on the
+    // same size.
+    function renderGhost(margin) {
+        const g = state.ghost;
+        if (!g || !state.started || state.replay || state.online || ghostDone(g)) return;
+        const gs = g.game.state;
+        if (gs.grid !== sim.grid && sim.wrap) return;
+        const tick = gs.tick;
+        const from = g.player.timeAt(tick);
+        const moved = clamp01((runElapsed() - from) / Math.max(1, g.player.timeAt(tick + 1) - from));
+        const shift = (sim.grid - gs.grid) / 2 * TILE;
+        ctx.save();
+        ctx.globalAlpha = 0.3;
+        ctx.translate(shift, shift);
+        renderSnake(computeSnakePoints(gs.snakes[0], moved), margin, gs.snakes[0], 0);
+        ctx.restore();
+    }
+
+    // Live score against the ghost's at the same point in the run
+    function ghostLead() {
+        return state.ghost ? sim.score - state.ghost.game.state.score : null;
+    }
+
+    function onGhostFileChange(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            const replay = SnakeCore.parseReplay(text);
+            const mode = SnakeCore.MODES[ghostMode(replay)];
+            if (replay.config.level || !mode || mode.players > 1) throw new Error('ghosts race in single-player modes');
+            if (!raceKey(replay.config)) throw new Error('unknown difficulty');
+            if (finalState(replay).score !== replay.score) throw new Error("score doesn't match the replay");
+            state.ghostImport = replay;
+            state.mode = ghostMode(replay);
+            state.level = null;
+            state.testingLevel = null;
+            resetToWelcome();
+        }).catch(err => {
+            const note = $('#menu .note');
+            if (note) note.textContent = 'Could not load ghost: ' + err.message;
+        });
+    }
+
+    // ==========================
+    // Achievements
+    // ==========================
+    // Stored per profile under ACHIEVEMENTS_KEY:
+    // { [profile id]: { unlocked: { [achievement id]: date },
+    //   totals: { food, items: [types], deaths: [causes] } } }
+    function loadAchievements() {
+        const all = readJson(ACHIEVEMENTS_KEY);
+        return all && typeof all === 'object' ? all : {};
+    }
+
+    // The record may come from an imported file, so only known ids,
+    // dates and counts are kept
+    function achievementRecord(profileId) {
+        const r = loadAchievements()[profileId] || {};
+        const t = r.totals || {};
+        const unlocked = {};
+        ACHIEVEMENTS.forEach(a => {
+            if (r.unlocked && Number.isFinite(r.unlocked[a.id])) unlocked[a.id] = r.unlocked[a.id];
+        });
+        const known = (list, keys) => (Array.isArray(list) ? list.filter(k => keys.includes(k)) : []);
+        return {
+            unlocked,
+            totals: {
+                food: Number.isInteger(t.food) && t.food > 0 ? t.food : 0,
+                items: known(t.items, Object.keys(SnakeCore.ITEMS)),
+                deaths: known(t.deaths, Object.keys(DEATH_TEXT)),
+            },
+        };
+    }
+
+    function saveAchievementRecord(profileId, record) {
+        const all = loadAchievements();
+        all[profileId] = record;
+        try { localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(all)); } catch {}
+    }
+
+    // What a run has done towards the goals so far
+    function startFeats() {
+        const profile = activeProfile().id;
+        const dir = sim.snakes[0].dir;
+        return {
+            profile,
+            record: achievementRecord(profile),
+            // grid only counts what the board has grown to, not where it started
+            run: { score: 0, grid: 0, leftTurns: 0, lastDir: { x: dir.x, y: dir.y }, elapsedMs: 0, bestMeal: 0, daily: !!state.daily, ended: false, wonBy: null },
+        };
+    }
+
+    // Only the player's own single-player runs count
+    function countingFeats() {
+        if (!state.feats || !state.started || state.replay || state.assisted || isVersus()) return null;
+        return state.feats;
+    }
+
+    // Game events feed the run and the totals; onGameEvent() passes them on
+    function trackFeat(type, data) {
+        const f = countingFeats();
+        if (!f) return;
+        const r = f.run;
+        const t = f.record.totals;
+        if (type === 'eat') {
+            t.food += 1;
+            r.bestMeal = Math.max(r.bestMeal, data.points);
+        } else if (type === 'pickup') {
+            if (!t.items.includes(data.type)) t.items.push(data.type);
+        } else if (type === 'grow') {
+            r.grid = Math.max(r.grid, data.grid);
+        } else if (type === 'death') {
+            if (!t.deaths.includes(data.cause)) t.deaths.push(data.cause);
+            r.ended = true;
+        } else if (type === 'win') {
+            r.wonBy = data.reason;
+            r.ended = true;
+        }
+    }
+
+    // After every tick: unlocks whatever the run has reached, and saves
+    // the totals once it's over
+    function checkFeats() {
+        const f = countingFeats();
+        if (!f) return;
+        const r = f.run;
+        const dir = sim.snakes[0].dir;
+        // y points down, so a left turn is a negative cross product
+        if (r.lastDir.x * dir.y - r.lastDir.y * dir.x < 0) r.leftTurns += 1;
+        r.lastDir = { x: dir.x, y: dir.y };
+        r.score = sim.score;
+        r.elapsedMs = runElapsed();
+        const unlocked = ACHIEVEMENTS.filter(a => !f.record.unlocked[a.id] && a.test(r, f.record.totals));
+        unlocked.forEach(a => {
+            f.record.unlocked[a.id] = Date.now();
+            showToast(`<strong>Achievement unlocked</strong>${escapeHtml(a.name)} · ${escapeHtml(a.desc)}`);
+            if (state.access.announce) announce(`Achievement unlocked: ${a.name}.`);
+            sfx('pickup');
+        });
+        if (unlocked.length || r.ended) saveFeats();
+        if (r.ended) state.feats = null;
+    }
+
+    // Keeps what the run added to the totals, also when it's left midway
+    function saveFeats() {
+        if (state.feats) saveAchievementRecord(state.feats.profile, state.feats.record);
+    }
+
+    // Small notes at the bottom of the screen that go away by themselves
+    function showToast(html) {
+        const box = $('#toasts');
+        if (!box) return;
+        const el = document.createElement('div');
+        el.className = reducedMotion() ? 'toast' : 'toast animate';
+        el.innerHTML = html;
+        box.appendChild(el);
+        setTimeout(() => el.remove(), TOAST_MS);
+    }
+
+    function openAchievements() {
+        if (state.started || state.online || state.editor) return;
+        state.achievementsMenu = { populated: false };
+    }
+
+    function closeAchievements() {
+        state.achievementsMenu = null;
+        state.welcomePopulated = false;
+    }
+
+    function onAchievementsClick(e) {
+        if (e.target.closest('#closeAchievementsBtn')) closeAchievements();
+    }
+
+    function unlockedCount(record) {
+        return ACHIEVEMENTS.filter(a => record.unlocked[a.id]).length;
+    }
+
+    // ==========================
+    // Stats & Profiles
+    // ==========================
+    function openStats() {
+        if (state.started || state.online || state.editor) return;
+        state.stats = { populated: false };
+    }
+
+    function closeStats() {
+        state.stats = null;
+        state.welcomePopulated = false;
+    }
+
+    function refreshStats(note) {
+        state.stats.populated = false;
+        state.stats.note = note || '';
+    }
+
+    function onStatsClick(e) {
+        const nameInput = $('#profileName');
+        const name = nameInput ? cleanName(nameInput.value) : '';
+        if (e.target.closest('#renameProfileBtn') && name) {
+            renameProfile(name);
+            refreshStats('Profile renamed');
+        } else if (e.target.closest('#newProfileBtn') && name) {
+            addProfile(name);
+            applyTheme();
+            refreshStats(`Playing as ${name}`);
+        } else if (e.target.closest('#exportDataBtn')) {
+            exportData();
+        } else if (e.target.closest('#importDataBtn')) {
+            $('#dataFile').click();
+        } else if (e.target.closest('#clearDataBtn')) {
+            // a second click confirms
+            const btn = e.target.closest('#clearDataBtn');
+            if (!btn.dataset.armed) {
+                btn.dataset.armed = '1';
+                btn.textContent = 'Click again to delete everything';
+                return;
+            }
+            clearData();
+            applyTheme();
+            state.mode = loadMode();
+            state.combo = loadCombo();
+            state.difficulty = loadDifficulty();
+            resetToWelcome();
+            refreshStats('All saved data deleted');
+        } else if (e.target.closest('#closeStatsBtn')) {
+            closeStats();
+        }
+    }
+
+    function onStatsChange(e) {
+        if (e.target.id === 'nameInput') saveEntryName(e.target);
+        else if (e.target.id === 'profileSelect' && state.stats) {
+            switchProfile(e.target.value);
+            applyTheme();
+            refreshStats();
+        } else if (e.target.id === 'themeSelect' || e.target.id === 'skinSelect') {
+            setLook(e.target.id === 'themeSelect' ? 'theme' : 'skin', e.target.value);
+            if (state.stats) refreshStats();
+            if (state.accessMenu) state.accessMenu.populated = false;
+        }
+    }
+
+    function onDataFileChange(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            importData(text);
+            applyTheme();
+            state.mode = loadMode();
+            state.combo = loadCombo();
+            state.difficulty = loadDifficulty();
+            resetToWelcome();
+            if (state.stats) refreshStats('Data imported');
+        }).catch(err => {
+            const note = $('#menu .note');
+            if (note) note.textContent = 'Could not import data: ' + err.message;
+        });
+    }
+
+    // Names the high score that was just set
+    function saveEntryName(input) {
+        if (!state.nameEntryId) return;
+        const name = cleanName(input.value) || activeProfile().name;
+        renameEntry(state.nameEntryId, name);
+        renameQueuedRun(state.nameEntryId, name);
+        sendQueuedScores();
+        input.value = name;
+        const current = $('#menu li.current .name');
+        if (current) current.textContent = name;
+        input.blur();
+    }
+
+    // ==========================
+    // Global Leaderboard
+    // ==========================
+    // The reference server (server/leaderboard.js) keeps shared top lists
+    // and plays every submitted replay back before it counts. Runs wait in
+    // a queue in localStorage until the server can be reached.
+    function scoresUrl(query) {
+        const param = new URLSearchParams(location.search).get('scores');
+        let base = `http://localhost:${ONLINE_PORT}`;
+        if (param) base = param;
+        else if (location.protocol === 'http:' || location.protocol === 'https:') base = location.origin;
+        return base.replace(/\/+$/, '') + '/api/scores' + (query ? '?' + new URLSearchParams(query) : '');
+    }
+
+    function loadScoreQueue() {
+        const queue = readJson(SCORE_QUEUE_KEY);
+        return Array.isArray(queue) ? queue : [];
+    }
+
+    function saveScoreQueue(queue) {
+        try {
+            if (queue.length) localStorage.setItem(SCORE_QUEUE_KEY, JSON.stringify(queue));
+            else localStorage.removeItem(SCORE_QUEUE_KEY);
+        } catch {}
+    }
+
+    // Queues a finished run: { id, name, mode, daily, replay, hold }, where
+    // `id` is its local score entry. While its name can still be typed in
+    // it is held back until that happens or the player moves on.
+    function submitRun(run) {
+        run.hold = state.nameEntryId === run.id;
+        saveScoreQueue(loadScoreQueue().concat(run).slice(-SCORE_QUEUE_MAX));
+        if (!run.hold) sendQueuedScores();
+    }
+
+    function renameQueuedRun(id, name) {
+        saveScoreQueue(loadScoreQueue().map(r => (r.id === id ? Object.assign(r, { name, hold: false }) : r)));
+    }
+
+    function releaseQueuedRuns() {
+        const queue = loadScoreQueue();
+        if (queue.some(r => r.hold)) saveScoreQueue(queue.map(r => Object.assign(r, { hold: false })));
+        sendQueuedScores();
+    }
+
+    // Sends queued runs one at a time and stops at the first that can't
+    // be delivered; it stays queued for the next try
+    function sendQueuedScores() {
+        if (state.sendingScores || typeof fetch !== 'function') return;
+        const run = loadScoreQueue().find(r => !r.hold);
+        if (!run) return;
+        state.sendingScores = true;
+        fetch(scoresUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: run.name, daily: run.daily, replay: run.replay }),
+        }).then(res => res.json().catch(() => ({})).then(body => {
+            state.sendingScores = false;
+            if (res.status === 404 || res.status === 405) {
+                // nothing serves a leaderboard here; don't hoard replays for it
+                saveScoreQueue([]);
+                return;
+            }
+            if (res.status === 429 || res.status >= 500) throw new Error(body.error);
+            saveScoreQueue(loadScoreQueue().filter(r => r.id !== run.id));
+            onRunSubmitted(run, res.ok, body);
+            sendQueuedScores();
+        })).catch(() => {
+            state.sendingScores = false;
+            const gb = state.globalBoard;
+            if (gb && gb.runId === run.id) {
+                gb.note = 'Will be sent once the leaderboard can be reached';
+                renderGlobalBoard();
+            }
+        });
+    }
+
+    function onRunSubmitted(run, ok, body) {
+        const gb = state.globalBoard;
+        if (!gb || gb.runId !== run.id) return;
+        if (!ok) gb.note = 'Not accepted: ' + (body.error || 'rejected');
+        else if (body.rank) gb.note = `Your run is #${body.rank}`;
+        else gb.note = 'Your run did not make the global list';
+        gb.rank = ok ? body.rank : null;
+        loadGlobalBoard();
+    }
+
+    // Top list for the run that just ended: { runId, mode, daily, combo,
+    // difficulty, status, entries, rank, note }, status being loading |
+    // ready | offline | none
+    function showGlobalBoard(runId, mode, daily, combo, difficulty) {
+        state.globalBoard = { runId, mode, daily, combo, difficulty, status: 'loading', entries: [], rank: null, note: '' };
+        renderGlobalBoard();
+        loadGlobalBoard();
+    }
+
+    function loadGlobalBoard() {
+        const gb = state.globalBoard;
+        if (!gb) return;
+        if (typeof fetch !== 'function') {
+            gb.status = 'none';
+            renderGlobalBoard();
+            return;
+        }
+        const query = { mode: gb.mode, limit: GLOBAL_TOP };
+        if (gb.daily) query.daily = gb.daily;
+        if (gb.combo) query.combo = 1;
+        if (gb.difficulty !== SnakeCore.DEFAULT_DIFFICULTY) query.difficulty = gb.difficulty;
+        fetch(scoresUrl(query)).then(res => {
+            if (res.status === 404 || res.status === 405) {
+                gb.status = 'none';
+                return null;
+            }
+            if (!res.ok) throw new Error('Leaderboard unavailable');
+            return res.json().then(body => {
+                gb.entries = Array.isArray(body.entries) ? body.entries : [];
+                gb.status = 'ready';
+            });
+        }).catch(() => {
+            gb.status = 'offline';
+        }).then(() => {
+            if (state.globalBoard === gb) renderGlobalBoard();
+        });
+    }
+
+    // ==========================
+    // Offline & Installed App
+    // ==========================
+    // sw.js caches the game so it plays without a connection and installs
+    // as an app (manifest.webmanifest). A new version downloads in the
+    // background and waits; the update bar offers to switch, between runs.
+    function registerServiceWorker() {
+        const sw = navigator.serviceWorker;
+        if (!sw || !/^https?:$/.test(location.protocol)) return;
+        sw.register('sw.js').then(reg => {
+            // the very first install has nothing to replace
+            const waiting = worker => {
+                if (worker && sw.controller) state.update = { worker, status: 'ready' };
+            };
+            waiting(reg.waiting);
+            reg.addEventListener('updatefound', () => {
+                const worker = reg.installing;
+                if (worker) worker.addEventListener('statechange', () => { if (worker.state === 'installed') waiting(worker); });
+            });
+            // an installed app can stay open for days
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) reg.update().catch(() => {});
+            });
+        }).catch(() => {});
+        sw.addEventListener('controllerchange', () => {
+            if (state.update && state.update.status === 'applying') location.reload();
+        });
+    }
+
+    function onUpdateBarClick(btn) {
+        const update = state.update;
+        if (!btn || !update) return;
+        if (btn.dataset.act === 'update') {
+            update.status = 'applying';
+            update.worker.postMessage({ type: 'skip-waiting' });
+        } else if (btn.dataset.act === 'later') {
+            update.status = 'later';
+        }
+    }
+
+    // Kept out of the way while playing, so a stray tap can't end the run
+    function syncUpdateBar() {
+        const bar = $('#updateBar');
+        if (bar) bar.hidden = !state.update || state.update.status !== 'ready' || isPlaying() || !!state.editor;
+    }
+
+    // Fullscreen on phones also holds the screen in the orientation it was
+    // in, so turning the phone mid-run doesn't resize the board
+    function toggleFullscreen() {
+        const root = document.documentElement;
+        if (!document.fullscreenElement && root.requestFullscreen) {
+            root.requestFullscreen({ navigationUI: 'hide' }).then(() => {
+                const orientation = screen.orientation;
+                if (orientation && orientation.lock) {
+                    return orientation.lock(orientation.type.startsWith('portrait') ? 'portrait' : 'landscape');
+                }
+            }).catch(() => {});
+        } else if (document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    function onFullscreenChange() {
+        const on = !!document.fullscreenElement;
+        if (!on && screen.orientation && screen.orientation.unlock) {
+            try { screen.orientation.unlock(); } catch {}
+        }
+        syncFullscreenButton();
+    }
+
+    function syncFullscreenButton() {
+        const btn = $('#fullscreenBtn');
+        if (!btn) return;
+        const on = !!document.fullscreenElement;
+        btn.hidden = !document.fullscreenEnabled;
+        btn.textContent = on ? 'Exit fullscreen' : 'Fullscreen';
+        btn.setAttribute('aria-pressed', String(on));
+    }
+
+    // ==========================
+    // Online Play
+    // ==========================
+    // The reference server (server/server.js) runs online matches; here we
+    // only send directions and draw the snapshot it sends every tick.
+    function serverUrl() {
+        const param = new URLSearchParams(location.search).get('server');
+        if (param) return param;
+        if (location.protocol === 'http:' || location.protocol === 'https:') {
+            return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws';
+        }
+        return `ws://localhost:${ONLINE_PORT}/ws`;
+    }
+
+    function urlRoom() {
+        try { return (new URLSearchParams(location.search).get('room') || '').toUpperCase(); }
+        catch { return ''; }
+    }
+
+    function roomLink(code) {
+        const params = new URLSearchParams(location.search);
+        params.delete('seed');
+        params.set('room', code);
+        return location.origin + location.pathname + '?' + params.toString();
+    }
+
+    // Seat token of the last room played in this tab, to reclaim the seat
+    function loadSeat() {
+        try { return JSON.parse(sessionStorage.getItem(ONLINE_KEY)) || null; }
+        catch { return null; }
+    }
+
+    function saveSeat(seat) {
+        try {
+            if (seat) sessionStorage.setItem(ONLINE_KEY, JSON.stringify(seat));
+            else sessionStorage.removeItem(ONLINE_KEY);
+        } catch {}
+    }
+
+    // Connects and sends `first` (a create or join message) once open
+    function goOnline(first) {
+        if (state.online && state.online.socket) state.online.socket.close();
+        const prev = state.online;
+        let socket;
+        try { socket = new WebSocket(serverUrl()); }
+        catch (err) { socket = null; }
+        state.online = {
+            socket,
+            status: socket ? 'connecting' : 'closed',
+            code: prev ? prev.code : null,
+            role: null,
+            player: -1,
+            room: null,
+            note: socket ? '' : 'Invalid server address',
+            startsAt: 0,
+            snapAt: 0,
+            retries: prev ? prev.retries : 0,
+            populated: false,
+        };
+        if (!prev) {
+            game.reset({ mode: 'versus' });
+            state.eatWave = null;
+            state.shakeUntil = null;
+            state.victoryAt = null;
+            setupHiDPI(sim.grid);
+        }
+        if (!socket) return;
+        socket.addEventListener('open', () => {
+            if (!state.online || state.online.socket !== socket) return;
+            state.online.status = 'lobby';
+            state.online.populated = false;
+            if (first) sendOnline(first);
+        });
+        socket.addEventListener('message', e => {
+            if (state.online && state.online.socket === socket) onOnlineMessage(e.data);
+        });
+        socket.addEventListener('close', () => {
+            const o = state.online;
+            if (!o || o.socket !== socket) return;
+            const wasIn = o.status === 'room';
+            o.socket = null;
+            o.status = 'closed';
+            o.populated = false;
+            o.note = wasIn ? 'Connection lost' : `Could not reach ${serverUrl()}`;
+            // the server holds a dropped seat for a while; try to get it back
+            if (o.code && o.retries < ONLINE_RETRIES) {
+                o.retries += 1;
+                o.note += ', reconnecting…';
+                setTimeout(() => { if (state.online === o) rejoinRoom(); }, ONLINE_RETRY_MS);
+            }
+        });
+    }
+
+    function sendOnline(msg) {
+        const o = state.online;
+        if (o && o.socket && o.socket.readyState === WebSocket.OPEN) o.socket.send(JSON.stringify(msg));
+    }
+
+    function joinMessage(code, spectate) {
+        const seat = loadSeat();
+        const token = !spectate && seat && seat.code === code ? seat.token : undefined;
+        return { type: 'join', code, name: activeProfile().name, token, spectate: !!spectate };
+    }
+
+    function joinRoom(code, spectate) {
+        if (!code) return;
+        const msg = joinMessage(code, spectate);
+        if (state.online && state.online.status !== 'closed') sendOnline(msg);
+        else goOnline(msg);
+    }
+
+    function joinFromInput(spectate) {
+        const input = $('#roomInput');
+        joinRoom(input ? input.value.trim().toUpperCase() : '', spectate);
+    }
+
+    function rejoinRoom() {
+        const o = state.online;
+        goOnline(o && o.code ? joinMessage(o.code, o.role === 'spectator') : null);
+    }
+
+    function leaveOnline() {
+        if (!state.online) return;
+        const socket = state.online.socket;
+        state.online = null;
+        if (socket) {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'leave' }));
+            socket.close();
+        }
+        saveSeat(null);
+        resetToWelcome();
+    }
+
+    function onOnlineMessage(text) {
+        const o = state.online;
+        let msg;
+        try { msg = JSON.parse(text); }
+        catch { return; }
+        if (msg.type === 'welcome') {
+            o.status = 'room';
+            o.code = msg.code;
+            o.role = msg.role;
+            o.player = msg.player;
+            o.retries = 0;
+            o.note = '';
+            if (msg.token) saveSeat({ code: msg.code, token: msg.token });
+        } else if (msg.type === 'room') {
+            if (msg.phase === 'playing' && (!o.room || o.room.phase !== 'playing')) {
+                if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+            }
+            o.room = msg;
+            o.startsAt = now() + msg.startsIn;
+        } else if (msg.type === 'snap') {
+            applyOnlineSnapshot(msg.snap);
+            return;
+        } else if (msg.type === 'error') {
+            o.note = msg.message;
+        }
+        o.populated = false;
+    }
+
+    // Snapshots arrive one per tick, so the time since the last one is how
+    // far the snakes have moved (see stepProgress)
+    function applyOnlineSnapshot(snap) {
+        const prevFood = sim.food;
+        const prevTick = sim.tick;
+        const wasOver = sim.gameOver;
+        const grid = sim.grid;
+        game.applySnapshot(snap);
+        state.online.snapAt = now();
+        if (sim.grid !== grid) setupHiDPI(sim.grid);
+        const next = snap.tick === prevTick + 1;
+        if (!next || (prevFood && sim.food && (prevFood.x !== sim.food.x || prevFood.y !== sim.food.y))) {
+            state.foodFxAt = now();
+            if (next) {
+                applyEatEffects(prevFood.x * TILE + TILE / 2, prevFood.y * TILE + TILE / 2, state.theme.food);
+                audio.play('eat', { step: sim.snakes.reduce((sum, s) => sum + s.score, 0) });
+            }
+        }
+        if (next && sim.gameOver && !wasOver) {
+            state.shakeUntil = now() + SHAKE_MS;
+            audio.play('death');
+        }
+    }
+
+    function isOnlineRound() {
+        return !!(state.online && state.online.room && state.online.room.phase === 'playing');
+    }
+
+    function onOnlineClick(e) {
+        if (e.target.closest('#createRoomBtn')) sendOnline({ type: 'create', name: activeProfile().name });
+        else if (e.target.closest('#joinRoomBtn')) joinFromInput(false);
+        else if (e.target.closest('#watchRoomBtn')) joinFromInput(true);
+        else if (e.target.closest('#reconnectBtn')) rejoinRoom();
+        else if (e.target.closest('#inviteBtn')) copyLink(roomLink(state.online.code), e.target.closest('#inviteBtn'));
+        else if (e.target.closest('#offlineBtn')) leaveOnline();
+    }
+
+    // ==========================
+    // Custom Levels
+    // ==========================
+    // Levels travel in the URL fragment as base64url JSON: #level=...
+    function encodeLevel(level) {
+        const bytes = new TextEncoder().encode(JSON.stringify(level));
+        let bin = '';
+        bytes.forEach(b => { bin += String.fromCharCode(b); });
+        return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decodeLevel(str) {
+        const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+        return SnakeCore.parseLevel(new TextDecoder().decode(bytes));
+    }
+
+    function levelLink(level) {
+        return location.origin + location.pathname + location.search + '#level=' + encodeLevel(level);
+    }
+
+    function levelFromHash() {
+        const m = /^#level=([\w-]+)$/.exec(location.hash || '');
+        if (!m) return null;
+        try { return decodeLevel(m[1]); }
+        catch { return null; }
+    }
+
+    function loadLevel(level) {
+        state.level = level;
+        state.testingLevel = null;
+        resetToWelcome();
+    }
+
+    function unloadLevel() {
+        state.level = null;
+        state.testingLevel = null;
+        if (/^#level=/.test(location.hash) && history.replaceState) {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+        resetToWelcome();
+    }
+
+    function onLevelFileChange(e) {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            loadLevel(SnakeCore.parseLevel(text));
+        }).catch(err => {
+            const note = $('#menu .note');
+            if (note) note.textContent = 'Could not load level: ' + err.message;
+        });
+    }
+
+    function downloadJson(data, filename) {
+        downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+    }
+
+    function downloadBlob(blob, filename) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    }
+
+    // ==========================
+    // Level Editor
+    // ==========================
+    function blankLevel() {
+        return {
+            version: 1,
+            name: 'Custom level',
+            grid: EDITOR_GRID,
+            wrap: false,
+            walls: [],
+            start: { x: 3, y: 3, dir: 'R', length: 3 },
+            portals: [],
+            food: {},
+        };
+    }
+
+    function openEditor(level) {
+        const draft = JSON.parse(JSON.stringify(level || blankLevel()));
+        state.editor = { draft, tool: 'wall', pendingPortal: null, paint: null, message: '' };
+        state.level = null;
+        state.testingLevel = null;
+        state.started = false;
+        state.eatWave = null;
+        const bar = $('#editorBar');
+        if (bar) bar.hidden = false;
+        syncEditor();
+    }
+
+    function closeEditor() {
+        state.editor = null;
+        const bar = $('#editorBar');
+        if (bar) bar.hidden = true;
+        resetToWelcome();
+    }
+
+    function editorCellKeys(list) {
+        return new Set(list.map(c => SnakeCore.posKey(c[0], c[1])));
+    }
+
+    function startKeys(draft) {
+        return new Set(SnakeCore.levelStartCells(draft).map(p => SnakeCore.posKey(p.x, p.y)));
+    }
+
+    function portalKeys(draft) {
+        return new Set([].concat(...draft.portals).map(c => SnakeCore.posKey(c[0], c[1])));
+    }
+
+    // Shows the draft on the board through the regular simulation
+    function syncEditor() {
+        const ed = state.editor;
+        try {
+            game.reset({ level: SnakeCore.parseLevel(ed.draft), seed: 'editor' });
+            ed.message = '';
+        } catch (err) {
+            ed.message = err.message;
+        }
+        setupHiDPI(sim.grid);
+        updateEditorBar();
+    }
+
+    function updateEditorBar() {
+        const bar = $('#editorBar');
+        const ed = state.editor;
+        if (!bar || !ed) return;
+        bar.querySelectorAll('[data-tool]').forEach(b => {
+            b.classList.toggle('active', b.dataset.tool === ed.tool);
+        });
+        bar.querySelector('.size').textContent = `${ed.draft.grid}×${ed.draft.grid}`;
+        const name = bar.querySelector('#levelName');
+        if (document.activeElement !== name) name.value = ed.draft.name;
+        bar.querySelector('#levelWrap').checked = !!ed.draft.wrap;
+        const goal = bar.querySelector('#levelGoal');
+        if (document.activeElement !== goal) goal.value = ed.draft.food.goal || '';
+        bar.querySelector('.note').textContent = ed.pendingPortal ? 'Pick the exit cell' : ed.message;
+    }
+
+    function onEditorBarClick(btn) {
+        const ed = state.editor;
+        if (!btn || !ed) return;
+        if (btn.dataset.tool) {
+            ed.tool = btn.dataset.tool;
+            ed.pendingPortal = null;
+            updateEditorBar();
+            return;
+        }
+        const act = btn.dataset.act;
+        if (act === 'smaller' || act === 'bigger') resizeDraft(ed.draft.grid + (act === 'bigger' ? 2 : -2));
+        else if (act === 'clear') {
+            ed.draft = Object.assign(blankLevel(), { name: ed.draft.name, grid: ed.draft.grid });
+            syncEditor();
+        }
+        else if (act === 'test') testLevel();
+        else if (act === 'save') saveDraft();
+        else if (act === 'link') copyLevelLink(btn);
+        else if (act === 'close') closeEditor();
+    }
+
+    function onEditorInput(e) {
+        const ed = state.editor;
+        if (!ed) return;
+        if (e.target.id === 'levelName') ed.draft.name = e.target.value;
+        else if (e.target.id === 'levelWrap') ed.draft.wrap = e.target.checked;
+        else if (e.target.id === 'levelGoal') {
+            const goal = parseInt(e.target.value, 10);
+            if (goal > 0) ed.draft.food.goal = goal;
+            else delete ed.draft.food.goal;
+        }
+        else return;
+        syncEditor();
+    }
+
+    function resizeDraft(grid) {
+        const ed = state.editor;
+        const g = Math.max(SnakeCore.MIN_LEVEL_GRID, Math.min(SnakeCore.MAX_GRID, grid));
+        const inside = c => c[0] < g && c[1] < g;
+        const d = ed.draft;
+        d.grid = g;
+        d.walls = d.walls.filter(inside);
+        d.portals = d.portals.filter(pair => pair.every(inside));
+        if (d.food.spawns) d.food.spawns = d.food.spawns.filter(inside);
+        if (!SnakeCore.levelStartCells(d).every(p => inside([p.x, p.y]))) d.start = blankLevel().start;
+        ed.pendingPortal = null;
+        syncEditor();
+    }
+
+    function canvasCell(e) {
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / rect.width * sim.grid);
+        const y = Math.floor((e.clientY - rect.top) / rect.height * sim.grid);
+        if (x < 0 || y < 0 || x >= sim.grid || y >= sim.grid) return null;
+        return [x, y];
+    }
+
+    function onEditorPointerDown(e) {
+        const ed = state.editor;
+        if (!ed) return;
+        const c = canvasCell(e);
+        if (!c) return;
+        e.preventDefault();
+        const d = ed.draft;
+        const key = SnakeCore.posKey(c[0], c[1]);
+        if (ed.tool === 'wall' || ed.tool === 'food') {
+            // dragging keeps painting in whatever sense the first cell toggled
+            const list = ed.tool === 'wall' ? d.walls : (d.food.spawns = d.food.spawns || []);
+            ed.paint = { tool: ed.tool, add: !editorCellKeys(list).has(key) };
+            paintCell(c);
+        } else if (ed.tool === 'start') {
+            placeStart(c);
+        } else if (ed.tool === 'portal') {
+            placePortal(c);
+        }
+    }
+
+    function onEditorPointerMove(e) {
+        const ed = state.editor;
+        if (!ed || !ed.paint) return;
+        const c = canvasCell(e);
+        if (c) paintCell(c);
+    }
+
+    function onEditorPointerUp() {
+        if (state.editor) state.editor.paint = null;
+    }
+
+    function paintCell(c) {
+        const ed = state.editor;
+        const d = ed.draft;
+        const key = SnakeCore.posKey(c[0], c[1]);
+        const isWall = ed.paint.tool === 'wall';
+        const list = isWall ? d.walls : d.food.spawns;
+        const has = editorCellKeys(list).has(key);
+        if (ed.paint.add === has) return;
+        // walls can't cover the start or a portal, food can't sit in a wall
+        if (ed.paint.add && (startKeys(d).has(key) || portalKeys(d).has(key))) return;
+        if (ed.paint.add && !isWall && editorCellKeys(d.walls).has(key)) return;
+        if (ed.paint.add) list.push(c);
+        else list.splice(list.findIndex(w => w[0] === c[0] && w[1] === c[1]), 1);
+        if (isWall && ed.paint.add && d.food.spawns) {
+            d.food.spawns = d.food.spawns.filter(f => f[0] !== c[0] || f[1] !== c[1]);
+        }
+        syncEditor();
+    }
+
+    // Clicking the current head turns it; elsewhere moves it, trying each
+    // direction until the body fits on the board
+    function placeStart(c) {
+        const d = state.editor.draft;
+        const order = ['R', 'D', 'L', 'U'];
+        const turning = d.start.x === c[0] && d.start.y === c[1];
+        const from = turning ? order.indexOf(d.start.dir) + 1 : order.indexOf(d.start.dir);
+        const walls = editorCellKeys(d.walls);
+        const portals = portalKeys(d);
+        for (let i = 0; i < order.length; i++) {
+            const start = Object.assign({}, d.start, { x: c[0], y: c[1], dir: order[(from + i) % order.length] });
+            const cells = SnakeCore.levelStartCells({ start });
+            const fits = cells.every(p => p.x >= 0 && p.y >= 0 && p.x < d.grid && p.y < d.grid
+                && !walls.has(SnakeCore.posKey(p.x, p.y)) && !portals.has(SnakeCore.posKey(p.x, p.y)));
+            if (fits) {
+                d.start = start;
+                break;
+            }
+        }
+        syncEditor();
+    }
+
+    function placePortal(c) {
+        const ed = state.editor;
+        const d = ed.draft;
+        const key = SnakeCore.posKey(c[0], c[1]);
+        const hit = d.portals.findIndex(pair => pair.some(p => p[0] === c[0] && p[1] === c[1]));
+        if (hit >= 0) {
+            d.portals.splice(hit, 1);
+            ed.pendingPortal = null;
+        } else if (editorCellKeys(d.walls).has(key) || startKeys(d).has(key)) {
+            return;
+        } else if (!ed.pendingPortal) {
+            ed.pendingPortal = c;
+            updateEditorBar();
+            return;
+        } else if (ed.pendingPortal[0] !== c[0] || ed.pendingPortal[1] !== c[1]) {
+            d.portals.push([ed.pendingPortal, c]);
+            ed.pendingPortal = null;
+        }
+        syncEditor();
+    }
+
+    function checkedDraft() {
+        const ed = state.editor;
+        try { return SnakeCore.parseLevel(ed.draft); }
+        catch (err) {
+            ed.message = err.message;
+            updateEditorBar();
+            return null;
+        }
+    }
+
+    function testLevel() {
+        const level = checkedDraft();
+        if (!level) return;
+        const draft = state.editor.draft;
+        closeEditor();
+        state.level = level;
+        state.testingLevel = draft;
+        resetGame();
+    }
+
+    function saveDraft() {
+        const level = checkedDraft();
+        if (!level) return;
+        const slug = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+        downloadJson(level, `snake-level-${slug}.json`);
+    }
+
+    function copyLevelLink(btn) {
+        const level = checkedDraft();
+        if (!level) return;
+        const link = levelLink(level);
+        const done = () => { btn.textContent = 'Link copied'; };
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link).then(done, () => { state.editor.message = link; updateEditorBar(); });
+        } else {
+            state.editor.message = link;
+            updateEditorBar();
+        }
+    }
+
+    // ==========================
+    // UI (Menu / HUD)
+    // ==========================
+    function $(sel) { return document.querySelector(sel); }
+
+    function escapeHtml(str) {
+        return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    function renderModeButtons(menu) {
+        const modesEl = menu.querySelector('.modes');
+        if (!modesEl) return;
+        modesEl.innerHTML = Object.keys(SnakeCore.MODES).map(id => {
+            const on = !state.level && id === state.mode;
+            return `<button type="button" data-mode="${id}" aria-pressed="${on}"${on ? ' class="active"' : ''}>${SnakeCore.MODES[id].name}</button>`;
+        }).join('');
+    }
+
+    // Scores from a filled board stand out from the ones that ended in a crash
+    function resultText(e) {
+        return e.result === 'perfect' ? ' · <span class="perfect">Perfect</span>' : '';
     }
 
-    function spawnFood() {
-        while (true) {
-            const x = (Math.random() * state.grid) | 0;
-            const y = (Math.random() * state.grid) | 0;
-            if (!state.occupied || !state.occupied.has(posKey(x, y))) {
-                const pos = { x, y };
-                state.foodFxAt = now();
-                return pos;
-            }
-        }
+    function renderScoreList(list, lastId) {
+        const items = list.map((e, i) => {
+            const rank = `#${i+1}`;
+            const cls = e.id === lastId ? ' class="current"' : '';
+            const watch = e.replay ? ` <button type="button" class="watch" data-replay-id="${escapeHtml(e.id)}" title="Watch replay" aria-label="Watch replay">▶</button>` : '';
+            const name = e.name ? ` <span class="name">${escapeHtml(e.name)}</span>` : '';
+            return `<li${cls}><div>${rank} — ${escapeHtml(e.score)}${name}</div><div class="meta">${formatTime(e.timeMs)}${resultText(e)}${watch}</div></li>`;
+        }).join('');
+        return `<ol>${items}</ol>`;
     }
 
-    // ==========================
-    // Update Step
-    // ==========================
-    function consumeDirectionQueue() {
-        if (state.queuedDirs.length) {
-            state.dir = state.queuedDirs.shift();
+    function populateWelcomeIfNeeded() {
+        if (state.started || state.welcomePopulated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        const summaryEl = menu.querySelector('.summary');
+        const hsEl = menu.querySelector('.highscores');
+        const btn = $('#playBtn');
+        menu.querySelector('h1').textContent = 'SNAKE';
+        menu.dataset.screen = 'welcome';
+        const versus = !state.level && isVersus();
+        if (summaryEl) {
+            summaryEl.innerHTML = versus ? `
+                <div class="label">Player 1</div><div>${state.versusBot ? `${dirKeysText(false)} / ${dirKeysText(true)}` : dirKeysText(false)}</div>
+                <div class="label">Player 2</div><div>${state.versusBot ? 'Bot' : dirKeysText(true)}</div>
+                <div class="label">Start</div><div>Press Play or ${bindingText('keys', 'start', 'tap')}</div>
+            ` : `
+                <div class="label">Controls</div><div>${dirKeysText(true)} / ${dirKeysText(false)}</div>
+                <div class="label">Start</div><div>Press Play or ${bindingText('keys', 'start', 'tap')}</div>
+                <div class="label">Daily</div><div>Same board for everyone today</div>
+                <div class="label">Help</div><div>${bindingText('keys', 'autopilot', '–')} autopilot · ${bindingText('keys', 'hints', '–')} hints</div>
+                ${state.ghostImport && !state.level ? `<div class="label">Ghost</div><div>${ghostText(state.ghostImport)}</div>` : ''}
+            `;
+        }
+        renderModeButtons(menu);
+        // a shared daily board makes no sense for a head-to-head match
+        const dailyBtn = $('#dailyBtn');
+        if (dailyBtn) dailyBtn.hidden = versus;
+        if (hsEl && versus) {
+            hsEl.innerHTML = renderMatchBoard();
+        } else if (hsEl && state.level) {
+            const goal = state.level.food.goal ? ` · eat ${state.level.food.goal} to clear` : '';
+            hsEl.innerHTML = `<h2>Level: ${escapeHtml(state.level.name)}</h2><div class="meta">${state.level.grid}×${state.level.grid}${goal}</div>`;
+        } else if (hsEl) {
+            const lastId = loadLastId();
+            const day = todayKey();
+            const title = `<h2>${modeTitle(state.mode, state.combo, state.difficulty.preset)}</h2>`;
+            if (state.difficulty.preset === 'custom') {
+                hsEl.innerHTML = title + '<div class="meta">Custom difficulty, not ranked</div>';
+            } else {
+                const board = scoreBoard(state.mode, state.combo, state.difficulty.preset);
+                const daily = loadDailyScores(day, board);
+                hsEl.innerHTML = title + renderScoreList(loadHighscores(board), lastId)
+                    + (daily.length ? `<h2>Daily ${day}</h2>` + renderScoreList(daily, lastId) : '');
+            }
+        }
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) {
+            const levelBtns = state.level
+                ? `<button id="editLevelBtn" type="button">Edit level</button>
+                   <button id="unloadLevelBtn" type="button">Unload level</button>`
+                : `<button id="loadLevelBtn" type="button">Load level</button>
+                   <button id="editLevelBtn" type="button">Level editor</button>`;
+            actionsEl.innerHTML = `
+                ${versus ? `<button id="opponentBtn" type="button">Player 2: ${state.versusBot ? 'Bot' : 'Human'}</button>`
+                    : `<button id="comboBtn" type="button" aria-pressed="${state.combo}">Combos: ${state.combo ? 'On' : 'Off'}</button>`}
+                <button id="difficultyBtn" type="button">Difficulty: ${difficultyName(state.difficulty.preset)}</button>
+                <button id="onlineBtn" type="button">Play online</button>
+                <button id="statsBtn" type="button">Stats</button>
+                <button id="accessBtn" type="button">Accessibility</button>
+                <button id="controlsBtn" type="button">Controls</button>
+                <button id="achievementsBtn" type="button">Achievements ${unlockedCount(achievementRecord(activeProfile().id))}/${ACHIEVEMENTS.length}</button>
+                <button id="importReplayBtn" type="button">Import replay</button>
+                ${versus ? '' : state.ghostImport ? '<button id="dropGhostBtn" type="button">Drop ghost</button>' : '<button id="importGhostBtn" type="button">Import ghost</button>'}
+                ${levelBtns}
+                <div class="note" role="status"></div>
+            `;
         }
+        const seedInput = $('#seedInput');
+        if (seedInput && !seedInput.value) seedInput.value = urlSeed();
+        if (btn) btn.textContent = 'Play';
+        state.welcomePopulated = true;
     }
 
-    function nextHead() {
-        const head = state.snake[0];
-        return { x: head.x + state.dir.x, y: head.y + state.dir.y };
+    // "42 in Classic · seed abc", for an imported ghost
+    function ghostText(replay) {
+        const c = replay.config;
+        const difficulty = SnakeCore.parseDifficulty(c.difficulty).key;
+        return `${escapeHtml(replay.score)} in ${modeTitle(ghostMode(replay), !!c.combo, difficulty)} · seed ${escapeHtml(c.seed)}`;
     }
 
-    function isWallCollision(nx, ny) {
-        return nx < 0 || ny < 0 || nx >= state.grid || ny >= state.grid;
+    function populatePauseIfNeeded() {
+        if (!state.paused || state.pausePopulated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        const counting = state.resumeAt !== null;
+        menu.dataset.screen = counting ? 'countdown' : 'pause';
+        const summaryEl = menu.querySelector('.summary');
+        const hsEl = menu.querySelector('.highscores');
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (counting) {
+            // the number itself is refreshed every frame by updateCountdown()
+            if (summaryEl) summaryEl.innerHTML = '';
+        } else {
+            menu.querySelector('h1').textContent = 'PAUSED';
+            if (summaryEl) {
+                summaryEl.innerHTML = `
+                    <div class="label">Score</div><div>${scoreText()}</div>
+                    <div class="label">Time</div><div>${formatTime(gameNow() - sim.runStartAt)}</div>
+                    <div class="label">Resume</div><div>P / Esc / Space</div>
+                `;
+            }
+        }
+        if (hsEl) hsEl.innerHTML = '';
+        if (actionsEl) actionsEl.innerHTML = counting ? '' : '<button id="quitBtn" type="button">Quit run</button>';
+        const btn = $('#playBtn');
+        if (btn) btn.textContent = 'Resume';
+        state.welcomePopulated = false;
+        state.pausePopulated = true;
     }
 
-    function isSelfCollision(nx, ny, willEat) {
-        if (!state.occupied) return false;
-        const tail = state.snake[state.snake.length - 1];
-        const hits = state.occupied.has(posKey(nx, ny));
-        if (!willEat && tail && tail.x === nx && tail.y === ny) return false;
-        return hits;
+    function updateCountdown() {
+        if (!state.paused || state.resumeAt === null) return;
+        const left = Math.max(1, Math.ceil((state.resumeAt - now()) / COUNTDOWN_STEP_MS));
+        const h1 = $('#menu h1');
+        if (h1 && h1.textContent !== String(left)) h1.textContent = String(left);
     }
 
-    function growGridIfNeeded() {
-        if (state.snake.length >= state.grid ** 2 * 0.7 && state.grid < 36) {
-            state.grid += 2;
-            state.stepMs = 150 * (15 / state.grid);
-            state.snake.forEach(p => { p.x += 1; p.y += 1; });
-            // rebuild occupied because positions changed
-            state.occupied = new Set();
-            state.snake.forEach(p => state.occupied.add(posKey(p.x, p.y)));
-            setupHiDPI(state.grid);
+    function populateMenuIfNeeded() {
+        if (!sim.gameOver || state.menuPopulated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+
+        menu.dataset.screen = sim.wonBy === 'perfect' ? 'victory' : 'gameover';
+        const duration = (sim.endedAt ?? now()) - sim.runStartAt;
+        const replay = game.getReplay();
+        state.lastReplay = replay;
+        if (isVersus()) populateRoundResult(menu, duration);
+        else populateRunResult(menu, duration, replay);
+
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) {
+            actionsEl.innerHTML = `
+                <button id="watchReplayBtn" type="button">Watch replay</button>
+                <button id="exportReplayBtn" type="button">Export</button>
+                <button id="importReplayBtn" type="button">Import</button>
+                ${isVersus() ? '' : shareHtml()}
+                ${state.testingLevel ? '<button id="editLevelBtn" type="button">Back to editor</button>' : ''}
+                <div class="note" role="status"></div>
+            `;
         }
-    }
 
-    function applyEatEffects(cx, cy) {
-        const start = now();
-        state.eatWave = { x: cx, y: cy, start };
+        renderModeButtons(menu);
+
+        const btn = $('#playBtn');
+        if (btn) btn.textContent = !isVersus() ? 'Play Again' : matchWinner() >= 0 ? 'New Match' : 'Next Round';
+
+        state.menuPopulated = true;
     }
 
-    function step() {
-        state.ateOnLastStep = false;
-        consumeDirectionQueue();
+    function seedRowHtml() {
+        return state.daily
+            ? `<div class="label">Daily</div><div>${state.daily}</div>`
+            : `<div class="label">Seed</div><div><button id="shareSeedBtn" type="button" title="Copy a link to this seed">${escapeHtml(sim.seed)}</button></div>`;
+    }
 
-        const { x: nx, y: ny } = nextHead();
-        const willEat = (nx === state.food.x && ny === state.food.y);
+    function populateRunResult(menu, duration, replay) {
+        const perfect = sim.wonBy === 'perfect';
+        menu.querySelector('h1').textContent = perfect ? 'PERFECT GAME' : sim.won ? 'LEVEL CLEAR' : 'GAME OVER';
+        // custom levels are one-off boards and stay off the leaderboards, and
+        // so do custom difficulties, slowed-down runs and anything the
+        // autopilot or hints helped with
+        const unranked = state.assisted ? 'Assisted run, not ranked'
+            : state.access.speed !== 1 ? `${state.access.speed * 100}% speed, not ranked`
+            : sim.difficulty.key === 'custom' ? 'Custom difficulty, not ranked' : '';
+        const ranked = !unranked && !sim.level;
+        let hs = [];
+        const board = scoreBoard(sim.mode, sim.combo, sim.difficulty.key);
+        const result = perfect ? 'perfect' : 'died';
+        if (ranked && state.daily) hs = addDailyScore(state.daily, board, { score: sim.score, timeMs: duration, difficulty: sim.difficulty, result, replay });
+        else if (ranked) hs = addHighscore({ score: sim.score, timeMs: duration, seed: sim.seed, mode: board, difficulty: sim.difficulty, result, replay });
+        const lastId = loadLastId();
+        state.nameEntryId = hs.some(e => e.id === lastId) ? lastId : 0;
+        recordRun({
+            id: Date.now(),
+            date: Date.now(),
+            profile: activeProfile().id,
+            mode: sim.mode,
+            level: sim.level ? sim.level.name : null,
+            daily: state.daily,
+            seed: sim.seed,
+            score: sim.score,
+            length: sim.snake.length,
+            grid: sim.grid,
+            timeMs: Math.round(duration),
+            cause: sim.deathCause,
+            won: !!sim.won,
+            assisted: state.assisted,
+            speed: state.access.speed,
+            combo: sim.combo,
+            difficulty: sim.difficulty.key,
+        });
 
-        if (isWallCollision(nx, ny) || isSelfCollision(nx, ny, willEat)) {
-            state.gameOver = true;
-            state.endedAt = now();
-            state.shakeUntil = state.endedAt + SHAKE_MS;
-            return;
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) {
+            summaryEl.innerHTML = `
+                <div class="label">Score</div><div>${sim.score}</div>
+                <div class="label">Time</div><div>${formatTime(duration)}</div>
+                <div class="label">${sim.level ? 'Level' : 'Mode'}</div><div>${sim.level ? escapeHtml(sim.level.name) : modeTitle(sim.mode, sim.combo, sim.difficulty.key)}</div>
+                ${perfect ? `<div class="label">Board</div><div>Filled, ${sim.grid}×${sim.grid}</div>` : ''}
+                ${state.ghost ? `<div class="label">Ghost</div><div>${ghostResultText()}</div>` : ''}
+                ${seedRowHtml()}
+            `;
         }
 
-        // move head
-        state.snake.unshift({ x: nx, y: ny });
-        if (state.occupied) state.occupied.add(posKey(nx, ny));
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) {
+            const title = state.daily ? `<h2>Daily ${state.daily}</h2>` : '';
+            if (unranked) hsEl.innerHTML = `<div class="meta">${unranked}</div>`;
+            else hsEl.innerHTML = sim.level ? '' : title + renderScoreList(hs, lastId);
+            if (state.nameEntryId) {
+                hsEl.innerHTML += `<div class="name-entry"><label for="nameInput">New high score! Name</label>
+                    <input id="nameInput" type="text" maxlength="${MAX_NAME}" autocomplete="off" spellcheck="false" value="${escapeHtml(activeProfile().name)}" /></div>`;
+            }
+            if (!sim.level) hsEl.innerHTML += '<div class="global"></div>';
+        }
 
-        if (willEat) {
-            state.score += 1;
-            growGridIfNeeded();
+        // every ranked run goes to the global board, placed locally or not
+        if (ranked) submitRun({ id: lastId, name: activeProfile().name, mode: sim.mode, daily: state.daily, replay });
+        if (!sim.level && sim.difficulty.key !== 'custom') showGlobalBoard(ranked ? lastId : 0, sim.mode, state.daily, sim.combo, sim.difficulty.key);
+    }
 
-            // effects
-            const cx = state.food.x * TILE + TILE / 2;
-            const cy = state.food.y * TILE + TILE / 2;
-            applyEatEffects(cx, cy);
+    // Against what the ghost scores by the end of its run, not what
+    // its file says it did
+    function ghostResultText() {
+        const g = state.ghost;
+        g.player.seek(g.player.total);
+        const score = g.game.state.score;
+        const whose = g.own ? 'your best' : 'imported';
+        if (sim.score > score) return `${score} (${whose}), beaten by ${sim.score - score}`;
+        return sim.score === score ? `${score} (${whose}), tied` : `${score} (${whose}), ${score - sim.score} short`;
+    }
 
-            state.food = spawnFood();
-            state.ateOnLastStep = true; // keep tail still this frame
+    function renderGlobalBoard() {
+        const el = $('#menu .global');
+        const gb = state.globalBoard;
+        if (!el || !gb) return;
+        const title = `<h2>Global${gb.daily ? ' daily' : ''}</h2>`;
+        const note = gb.note ? `<div class="meta">${escapeHtml(gb.note)}</div>` : '';
+        if (gb.status === 'none') {
+            el.innerHTML = '';
+        } else if (gb.status === 'loading') {
+            el.innerHTML = title + '<div class="meta">Loading…</div>';
+        } else if (gb.status === 'offline') {
+            const queued = loadScoreQueue().length;
+            el.innerHTML = title + `<div class="meta">Leaderboard offline${queued ? ` · ${queued} run${queued > 1 ? 's' : ''} waiting to be sent` : ''}</div>`;
         } else {
-            const tail = state.snake.pop();
-            if (state.occupied && tail) state.occupied.delete(posKey(tail.x, tail.y));
+            const items = gb.entries.map(e => {
+                const cls = e.rank === gb.rank ? ' class="current"' : '';
+                return `<li${cls}><div>#${e.rank} — ${e.score} <span class="name">${escapeHtml(e.name)}</span></div><div class="meta">${formatTime(e.timeMs)}${resultText(e)}</div></li>`;
+            }).join('');
+            el.innerHTML = title + (items ? `<ol>${items}</ol>` : '<div class="meta">No scores yet</div>') + note;
         }
     }
 
-    // ==========================
-    // UI (Menu / HUD)
-    // ==========================
-    function $(sel) { return document.querySelector(sel); }
+    // Versus rounds count towards the match instead of the leaderboards
+    function populateRoundResult(menu, duration) {
+        const m = state.match;
+        m.rounds += 1;
+        if (sim.winner !== null) m.wins[sim.winner] += 1;
+        menu.querySelector('h1').textContent = sim.winner !== null ? `PLAYER ${sim.winner + 1} WINS` : 'DRAW';
 
-    function populateWelcomeIfNeeded() {
-        if (state.started || state.welcomePopulated) return;
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) {
+            const crashes = sim.snakes.map((s, i) => s.deathCause ? `P${i + 1} ${DEATH_TEXT[s.deathCause]}` : '').filter(Boolean);
+            summaryEl.innerHTML = `
+                <div class="label">Round</div><div>${m.rounds}</div>
+                <div class="label">Crash</div><div>${crashes.join(', ')}</div>
+                <div class="label">Food</div><div>${scoreText()}</div>
+                <div class="label">Time</div><div>${formatTime(duration)}</div>
+                ${seedRowHtml()}
+            `;
+        }
+
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) hsEl.innerHTML = renderMatchBoard();
+    }
+
+    function renderMatchBoard() {
+        const champ = matchWinner();
+        const title = champ >= 0
+            ? `Player ${champ + 1} takes the match`
+            : `Best of ${VERSUS_BEST_OF} · first to ${Math.ceil(VERSUS_BEST_OF / 2)}`;
+        const items = state.match.wins.map((wins, i) => {
+            const cls = sim.gameOver && sim.winner === i ? ' class="current"' : '';
+            return `<li${cls}><div><span class="swatch" style="background:${state.theme.snakes[i]}"></span>Player ${i + 1}</div><div>${wins}</div></li>`;
+        }).join('');
+        return `<h2>${title}</h2><ol>${items}</ol>`;
+    }
+
+    function populateStatsIfNeeded() {
+        if (state.stats.populated) return;
         const menu = $('#menu');
         if (!menu) return;
+        menu.dataset.screen = 'stats';
+        menu.querySelector('h1').textContent = 'STATS';
+        const profiles = loadProfiles();
+        const profile = profiles.list.find(p => p.id === profiles.active);
+        const st = runStats(profile.id, state.mode, state.combo, state.difficulty.preset);
         const summaryEl = menu.querySelector('.summary');
-        const hsEl = menu.querySelector('.highscores');
-        const btn = $('#playBtn');
-        menu.querySelector('h1').textContent = 'SNAKE';
         if (summaryEl) {
             summaryEl.innerHTML = `
-                <div class="label">Controls</div><div>Arrows / WASD</div>
-                <div class="label">Start</div><div>Press Play or Space</div>
+                <div class="label">Player</div><div>${escapeHtml(profile.name)}</div>
+                <div class="label">Mode</div><div>${modeTitle(state.mode, state.combo, state.difficulty.preset)}</div>
+                <div class="label">Games</div><div>${st.played}</div>
+                <div class="label">Average</div><div>${st.average.toFixed(1)}</div>
+                <div class="label">Best</div><div>${st.best}</div>
+                <div class="label">Play time</div><div>${formatTime(st.timeMs)}</div>
             `;
         }
+        renderModeButtons(menu);
+        const hsEl = menu.querySelector('.highscores');
         if (hsEl) {
-            const hs = loadHighscores();
-            const lastId = loadLastId();
-            const items = hs.map((e, i) => {
-                const rank = `#${i+1}`;
-                const cls = e.id === lastId ? ' class="current"' : '';
-                return `<li${cls}><div>${rank} — ${e.score}</div><div class="meta">${formatTime(e.timeMs)}</div></li>`;
+            const recent = st.runs.slice(-RECENT_RUNS).reverse().map(r => {
+                const end = r.won ? (r.level ? 'cleared' : 'perfect') : (DEATH_TEXT[r.cause] || '');
+                const daily = (r.daily ? ' · daily' : '') + (r.speed < 1 ? ` · ${escapeHtml(r.speed * 100)}% speed` : '');
+                return `<li><div>${escapeHtml(r.score)} <span class="meta">${new Date(r.date).toLocaleDateString()}${daily}</span></div>
+                    <div class="meta">${formatTime(r.timeMs)} · length ${escapeHtml(r.length)} · ${escapeHtml(r.grid)}×${escapeHtml(r.grid)} · ${end}</div></li>`;
             }).join('');
-            hsEl.innerHTML = `<ol>${items}</ol>`;
+            hsEl.innerHTML = st.played
+                ? `<h2>Last ${Math.min(st.played, SPARK_RUNS)} scores</h2>${renderSparkline(st.runs.slice(-SPARK_RUNS).map(r => r.score))}<h2>Recent runs</h2><ol>${recent}</ol>`
+                : '<div class="meta">No runs in this mode yet</div>';
         }
-        if (btn) btn.textContent = 'Play';
-        state.welcomePopulated = true;
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) {
+            const options = profiles.list.map(p => `<option value="${escapeHtml(p.id)}"${p.id === profile.id ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+            const choices = (looks, current) => Object.keys(looks).map(k => `<option value="${k}"${looks[k] === current ? ' selected' : ''}>${looks[k].name}</option>`).join('');
+            actionsEl.innerHTML = `
+                <select id="profileSelect" aria-label="Player profile">${options}</select>
+                <input id="profileName" type="text" placeholder="Name" aria-label="Profile name" maxlength="${MAX_NAME}" autocomplete="off" spellcheck="false" />
+                <button id="renameProfileBtn" type="button">Rename</button>
+                <button id="newProfileBtn" type="button">New player</button>
+                <select id="themeSelect" aria-label="Theme">${choices(THEMES, state.theme)}</select>
+                <select id="skinSelect" aria-label="Snake skin">${choices(SKINS, state.skin)}</select>
+                <button id="exportDataBtn" type="button">Export data</button>
+                <button id="importDataBtn" type="button">Import data</button>
+                <button id="clearDataBtn" type="button">Clear data</button>
+                <button id="closeStatsBtn" type="button">Back</button>
+                <div class="note" role="status"></div>
+            `;
+            actionsEl.querySelector('.note').textContent = state.stats.note || '';
+        }
+        state.welcomePopulated = false;
+        state.stats.populated = true;
     }
 
-    function populateMenuIfNeeded() {
-        if (!state.gameOver || state.menuPopulated) return;
+    function populateAccessIfNeeded() {
+        if (state.accessMenu.populated) return;
         const menu = $('#menu');
         if (!menu) return;
+        const a = state.access;
+        menu.dataset.screen = 'access';
+        menu.querySelector('h1').textContent = 'ACCESSIBILITY';
+        const motion = { system: `System (${motionQuery && motionQuery.matches ? 'reduced' : 'full'})`, reduce: 'Reduced', full: 'Full' }[a.motion];
+        const themes = Object.keys(THEMES).map(k => `<option value="${k}"${THEMES[k] === state.theme ? ' selected' : ''}>${THEMES[k].name}</option>`).join('');
+        const speeds = SPEEDS.map(v => `<button type="button" data-game-speed="${v}" aria-pressed="${v === a.speed}"${v === a.speed ? ' class="active"' : ''}>${v * 100}%</button>`).join('');
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) {
+            summaryEl.innerHTML = `
+                <div class="label">Announcements</div><div><button id="announceBtn" type="button" aria-pressed="${a.announce}">${a.announce ? 'On' : 'Off'}</button></div>
+                <div class="label">Motion</div><div><button id="motionBtn" type="button">${motion}</button></div>
+                <div class="label">Speed</div><div class="speeds" role="group" aria-label="Game speed">${speeds}</div>
+                <div class="label">Colours</div><div><select id="themeSelect" aria-label="Theme">${themes}</select></div>
+            `;
+        }
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) {
+            hsEl.innerHTML = `<div class="meta">With announcements on, screen readers hear the score, where the food is,
+                obstacles coming up and how a run ended. ${escapeHtml(bindingText('keys', 'locate', 'The "Where am I" key'))} repeats where you are. Slower runs still count
+                for your stats but stay off the high-score lists.</div>`;
+        }
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) actionsEl.innerHTML = '<button id="closeAccessBtn" type="button">Back</button>';
+        state.welcomePopulated = false;
+        state.accessMenu.populated = true;
+    }
 
-        const duration = (state.endedAt ?? now()) - state.runStartAt;
-        const hs = addHighscore({ score: state.score, timeMs: duration });
-
+    function populateDifficultyIfNeeded() {
+        if (state.difficultyMenu.populated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        const d = state.difficulty;
+        const values = d.preset === 'custom' ? d.custom : difficultyValues(d.preset);
+        menu.dataset.screen = 'difficulty';
+        menu.querySelector('h1').textContent = 'DIFFICULTY';
+        const presets = Object.keys(SnakeCore.DIFFICULTIES).concat('custom').map(k => {
+            const on = k === d.preset;
+            return `<button type="button" data-difficulty="${k}" aria-pressed="${on}"${on ? ' class="active"' : ''}>${difficultyName(k)}</button>`;
+        }).join('');
+        const fields = DIFFICULTY_FIELDS.map(f => {
+            const scale = f.scale || 1;
+            const [min, max] = SnakeCore.DIFFICULTY_LIMITS[f.key];
+            const value = Math.round(values[f.key] * scale * 100) / 100;
+            return `<div class="label"><label for="difficulty-${f.key}">${f.label}</label></div>
+                <div><input id="difficulty-${f.key}" type="number" data-setting="${f.key}" min="${min * scale}" max="${max * scale}" step="${f.step}" value="${value}" /> ${f.unit || ''}</div>`;
+        }).join('');
         const summaryEl = menu.querySelector('.summary');
         if (summaryEl) {
             summaryEl.innerHTML = `
-                <div class="label">Score</div><div>${state.score}</div>
-                <div class="label">Time</div><div>${formatTime(duration)}</div>
+                <div class="label">Preset</div><div class="presets" role="group" aria-label="Difficulty">${presets}</div>
+                ${fields}
             `;
         }
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) {
+            hsEl.innerHTML = `<div class="meta">Board size and growth only apply to modes whose board grows. Every preset keeps score lists
+                of its own. Custom settings can't be compared, so custom runs aren't ranked.</div>`;
+        }
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) actionsEl.innerHTML = '<button id="closeDifficultyBtn" type="button">Back</button>';
+        state.welcomePopulated = false;
+        state.difficultyMenu.populated = true;
+    }
 
+    // Every goal, unlocked ones first, with progress on the long ones
+    function populateAchievementsIfNeeded() {
+        if (state.achievementsMenu.populated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        const profile = activeProfile();
+        const record = achievementRecord(profile.id);
+        menu.dataset.screen = 'achievements';
+        menu.querySelector('h1').textContent = 'ACHIEVEMENTS';
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) {
+            summaryEl.innerHTML = `
+                <div class="label">Player</div><div>${escapeHtml(profile.name)}</div>
+                <div class="label">Unlocked</div><div>${unlockedCount(record)} of ${ACHIEVEMENTS.length}</div>
+                <div class="label">Food eaten</div><div>${record.totals.food}</div>
+            `;
+        }
         const hsEl = menu.querySelector('.highscores');
         if (hsEl) {
-            const lastId = loadLastId();
-            const items = hs.map((e, i) => {
-                const rank = `#${i+1}`;
-                const cls = e.id === lastId ? ' class="current"' : '';
-                return `<li${cls}><div>${rank} — ${e.score}</div><div class="meta">${formatTime(e.timeMs)}</div></li>`;
+            const sorted = ACHIEVEMENTS.filter(a => record.unlocked[a.id]).concat(ACHIEVEMENTS.filter(a => !record.unlocked[a.id]));
+            const items = sorted.map(a => {
+                const at = record.unlocked[a.id];
+                let meta = 'Locked';
+                if (at) meta = new Date(at).toLocaleDateString();
+                else if (a.progress) {
+                    const [have, need] = a.progress(null, record.totals);
+                    meta = `${Math.min(have, need)} / ${need}`;
+                }
+                return `<li class="${at ? 'unlocked' : 'locked'}"><div>${escapeHtml(a.name)} <span class="meta">${escapeHtml(a.desc)}</span></div><div class="meta">${meta}</div></li>`;
             }).join('');
-            hsEl.innerHTML = `<ol>${items}</ol>`;
+            hsEl.innerHTML = `<ol class="achievements">${items}</ol>`;
         }
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) actionsEl.innerHTML = '<button id="closeAchievementsBtn" type="button">Back</button>';
+        state.welcomePopulated = false;
+        state.achievementsMenu.populated = true;
+    }
 
-        const btn = $('#playBtn');
-        if (btn) btn.textContent = 'Play Again';
+    function populateControlsIfNeeded() {
+        const cm = state.controlsMenu;
+        if (cm.populated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        menu.dataset.screen = 'controls';
+        menu.querySelector('h1').textContent = 'CONTROLS';
+        const button = (device, action) => {
+            const on = cm.listening && cm.listening.device === device && cm.listening.action === action;
+            const label = on ? 'Press…' : escapeHtml(bindingText(device, action, 'None'));
+            const kind = device === 'pad' ? 'gamepad button' : 'key';
+            return `<button type="button" data-bind="${device}" data-action="${action}" aria-label="${CONTROL_ACTIONS[action].name}: ${kind} ${label}"${on ? ' class="active"' : ''}>${label}</button>`;
+        };
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) {
+            summaryEl.innerHTML = Object.keys(CONTROL_ACTIONS).map(action => `
+                <div class="label">${CONTROL_ACTIONS[action].name}</div>
+                <div class="bindings">${button('keys', action)}${CONTROL_ACTIONS[action].pad ? button('pad', action) : ''}</div>
+            `).join('');
+        }
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(p => p && p.connected) : [];
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) {
+            const swipe = state.controls.swipe;
+            hsEl.innerHTML = `
+                <label class="swipe">Swipe distance
+                    <input id="swipeInput" type="range" min="${SWIPE_RANGE[0]}" max="${SWIPE_RANGE[1]}" step="4" value="${swipe}" />
+                    <span id="swipeValue">${swipe}px</span></label>
+                <div class="meta">${pads.length ? pads.map(p => escapeHtml(p.id)).join(', ') : 'No gamepad found; press a button on one to connect it'}.
+                    The left stick steers too.</div>`;
+        }
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) {
+            actionsEl.innerHTML = `
+                <button id="resetControlsBtn" type="button">Reset to defaults</button>
+                <button id="closeControlsBtn" type="button">Back</button>
+                <div class="note" role="status"></div>
+            `;
+            if (cm.listening) {
+                const what = cm.listening.device === 'pad' ? 'a gamepad button' : 'a key';
+                actionsEl.querySelector('.note').textContent = `Press ${what} for ${CONTROL_ACTIONS[cm.listening.action].name} (Esc cancels)`;
+            }
+        }
+        state.welcomePopulated = false;
+        cm.populated = true;
+    }
 
-        state.menuPopulated = true;
+    // Scores over time as a small inline SVG line
+    function renderSparkline(scores) {
+        const w = 240;
+        const h = 40;
+        const max = Math.max(1, ...scores);
+        const dx = scores.length > 1 ? w / (scores.length - 1) : 0;
+        const points = scores.map((v, i) => `${(i * dx).toFixed(1)},${(h - 2 - (v / max) * (h - 4)).toFixed(1)}`).join(' ');
+        return `<svg class="sparkline" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" role="img" aria-label="Scores, oldest first, up to ${max}">
+            <polyline points="${points}" fill="none" stroke="${state.theme.accent}" stroke-width="2" stroke-linejoin="round" /></svg>`;
+    }
+
+    function populateOnlineIfNeeded() {
+        const o = state.online;
+        if (o.populated) return;
+        const menu = $('#menu');
+        if (!menu) return;
+        menu.dataset.screen = 'online';
+        const room = o.status === 'room' ? o.room : null;
+        let title = 'ONLINE';
+        let summary = '';
+        let actions = '';
+        if (o.status === 'connecting') {
+            summary = '<div class="label">Server</div><div>Connecting…</div>';
+            actions = '<button id="offlineBtn" type="button">Cancel</button>';
+        } else if (o.status === 'lobby') {
+            summary = `
+                <div class="label">Server</div><div>Connected</div>
+                <div class="label">Rooms</div><div>Create one or join by code</div>
+            `;
+            actions = `
+                <button id="createRoomBtn" type="button">Create room</button>
+                <input id="roomInput" type="text" placeholder="Code" aria-label="Room code" maxlength="4" autocomplete="off" spellcheck="false" />
+                <button id="joinRoomBtn" type="button">Join</button>
+                <button id="watchRoomBtn" type="button">Watch</button>
+                <button id="offlineBtn" type="button">Back</button>
+            `;
+        } else if (o.status === 'room') {
+            title = `ROOM ${o.code}`;
+            const you = o.role === 'player'
+                ? `<span class="swatch" style="background:${state.theme.snakes[o.player]}"></span>Player ${o.player + 1}`
+                : 'Watching (Esc leaves)';
+            summary = `<div class="label">You</div><div>${you}</div>` + (o.role === 'player' ? '<div class="label">Controls</div><div>Arrows / WASD</div>' : '') + (room ? `
+                <div class="label">Round</div><div>${room.round || '–'}</div>
+                <div class="label">Status</div><div>${PHASE_TEXT[room.phase]}</div>
+                <div class="label">Spectators</div><div>${room.spectators}</div>
+            ` : '');
+            actions = `
+                <button id="inviteBtn" type="button">Copy invite link</button>
+                <button id="offlineBtn" type="button">Leave</button>
+            `;
+        } else {
+            title = 'OFFLINE';
+            actions = `
+                <button id="reconnectBtn" type="button">${o.code ? 'Reconnect' : 'Retry'}</button>
+                <button id="offlineBtn" type="button">Back</button>
+            `;
+        }
+        menu.querySelector('h1').textContent = title;
+        const summaryEl = menu.querySelector('.summary');
+        if (summaryEl) summaryEl.innerHTML = summary;
+        const hsEl = menu.querySelector('.highscores');
+        if (hsEl) hsEl.innerHTML = room ? renderRoomBoard(room) : '';
+        const actionsEl = menu.querySelector('.menu-actions');
+        if (actionsEl) {
+            actionsEl.innerHTML = actions + '<div class="note" role="status"></div>';
+            actionsEl.querySelector('.note').textContent = o.note || (room && room.note) || '';
+        }
+        state.welcomePopulated = false;
+        state.menuPopulated = false;
+        o.populated = true;
+    }
+
+    function renderRoomBoard(room) {
+        const items = room.players.map((p, i) => {
+            const name = p ? escapeHtml(p.name) + (p.connected ? '' : ' (away)') : 'Open seat';
+            return `<li><div><span class="swatch" style="background:${state.theme.snakes[i]}"></span>${name}</div><div>${p ? p.wins : ''}</div></li>`;
+        }).join('');
+        return `<h2>Best of ${room.bestOf} · first to ${Math.ceil(room.bestOf / 2)}</h2><ol>${items}</ol>`;
+    }
+
+    function updateOnlineCountdown() {
+        const o = state.online;
+        if (o.status !== 'room' || !o.room || o.room.phase !== 'countdown') return;
+        const left = String(Math.max(1, Math.ceil((o.startsAt - now()) / 1000)));
+        const h1 = $('#menu h1');
+        if (h1 && h1.textContent !== left) h1.textContent = left;
     }
 
     function setGameTransform(gameEl, menuEl) {
         // compute optional shake translate
-        let shakePrefix = "";
+        let shake = "";
         if (state.shakeUntil && now() < state.shakeUntil) {
             const tLeft = state.shakeUntil - now();
             const p = Math.max(0, Math.min(1, tLeft / SHAKE_MS));
             const amp = 4 * p; // max ~4px, easing out
             const dx = (Math.random() * 2 - 1) * amp;
             const dy = (Math.random() * 2 - 1) * amp;
-            shakePrefix = `translate(${dx.toFixed(1)}px, ${dy.toFixed(1)}px) `;
+            shake = `translate(${dx.toFixed(1)}px, ${dy.toFixed(1)}px) `;
+        }
+
+        if (state.replay) {
+            applyScreen(gameEl, menuEl, { transition: 'filter 0s, transform 0.5s', blur: 0, opacity: 1, shake });
+            return;
+        }
+
+        if (state.editor) {
+            applyScreen(gameEl, menuEl, { transition: 'filter 0.3s, transform 0.5s', blur: 0, opacity: 1 });
+            return;
+        }
+
+        if (state.paused) {
+            populatePauseIfNeeded();
+            updateCountdown();
+            const counting = state.resumeAt !== null;
+            applyScreen(gameEl, menuEl, {
+                transition: 'filter 0.3s, transform 2s', blur: counting ? 0 : 2, opacity: counting ? 1 : 0.7,
+                menu: true, menuLocked: counting,
+            });
+            return;
+        }
+
+        if (state.online) {
+            const playing = isOnlineRound();
+            populateOnlineIfNeeded();
+            updateOnlineCountdown();
+            applyScreen(gameEl, menuEl, {
+                transition: 'filter 0.3s, transform 2s', blur: playing ? 0 : 2, opacity: playing ? 1 : 0.7,
+                shake, menu: !playing,
+            });
+            return;
         }
 
         if (!state.started) {
-            populateWelcomeIfNeeded();
-            gameEl.style.transition = 'filter 5s, transform 20s';
-            gameEl.style.filter = 'blur(2px) opacity(1)';
-            menuEl.style.filter = 'blur(0)';
-            menuEl.style.opacity = 1;
+            if (state.stats) populateStatsIfNeeded();
+            else if (state.accessMenu) populateAccessIfNeeded();
+            else if (state.controlsMenu) populateControlsIfNeeded();
+            else if (state.difficultyMenu) populateDifficultyIfNeeded();
+            else if (state.achievementsMenu) populateAchievementsIfNeeded();
+            else populateWelcomeIfNeeded();
+            // the board keeps its size from before
+            applyScreen(gameEl, menuEl, { transition: 'filter 5s, transform 20s', blur: 2, opacity: 1, zoom: null, menu: true });
             return;
         }
 
-        if (state.gameOver) {
+        if (sim.gameOver) {
             populateMenuIfNeeded();
-            gameEl.style.transition = 'filter 5s, transform 20s';
-            gameEl.style.filter = 'blur(2px) opacity(0.5)';
-            gameEl.style.transform = shakePrefix + `scale(${(BASE_GRID / state.grid) * 0.9})`;
-            menuEl.style.filter = 'blur(0)';
-            menuEl.style.opacity = 1;
+            // a filled board stays in view for the victory effect
+            const perfect = sim.wonBy === 'perfect';
+            applyScreen(gameEl, menuEl, { transition: 'filter 5s, transform 20s', blur: perfect ? 0 : 2, opacity: perfect ? 0.8 : 0.5, shake, zoom: 0.9, menu: true });
             return;
         }
 
         // playing
-        gameEl.style.transition = 'filter 0s, transform 2s';
-        gameEl.style.filter = 'blur(0) opacity(1)';
-        gameEl.style.transform = shakePrefix + `scale(${BASE_GRID / state.grid})`;
-        menuEl.style.filter = 'blur(10px)';
-        menuEl.style.opacity = 0;
+        applyScreen(gameEl, menuEl, { transition: 'filter 0s, transform 2s', blur: 0, opacity: 1, shake });
+    }
+
+    // Styles the board and the menu for one screen. `zoom` scales the board
+    // on top of fitting it to the window (null leaves it alone). With
+    // reduced motion nothing blurs, shakes, zooms or transitions.
+    function applyScreen(gameEl, menuEl, o) {
+        const calm = reducedMotion();
+        const zoom = o.zoom === undefined ? 1 : o.zoom;
+        gameEl.style.transition = calm ? 'none' : o.transition;
+        gameEl.style.filter = `blur(${calm ? 0 : o.blur}px) opacity(${o.opacity})`;
+        if (zoom !== null) {
+            gameEl.style.transform = (calm ? '' : o.shake || '') + `scale(${(BASE_GRID / sim.grid) * (calm ? 1 : zoom)})`;
+        }
+        menuEl.style.transition = calm ? 'none' : '';
+        menuEl.style.filter = o.menu || calm ? 'blur(0)' : 'blur(10px)';
+        menuEl.style.opacity = o.menu ? 1 : 0;
+        menuEl.style.pointerEvents = o.menu && !o.menuLocked ? '' : 'none';
     }
 
     // ==========================
     // Rendering
     // ==========================
     function clearBoard() {
-        ctx.clearRect(0, 0, state.grid * TILE, state.grid * TILE);
+        ctx.clearRect(0, 0, sim.grid * TILE, sim.grid * TILE);
     }
 
     function drawGrid() {
         ctx.save();
         ctx.beginPath();
-        for (let i = 0; i <= state.grid; i++) {
+        for (let i = 0; i <= sim.grid; i++) {
             ctx.moveTo(i * TILE + 0.5, 0);
-            ctx.lineTo(i * TILE + 0.5, state.grid * TILE);
+            ctx.lineTo(i * TILE + 0.5, sim.grid * TILE);
             ctx.moveTo(0, i * TILE + 0.5);
-            ctx.lineTo(state.grid * TILE, i * TILE + 0.5);
+            ctx.lineTo(sim.grid * TILE, i * TILE + 0.5);
         }
         ctx.lineWidth = 1;
-        ctx.strokeStyle = "rgba(255,255,255,0.06)";
+        ctx.strokeStyle = state.theme.grid;
         ctx.stroke();
         ctx.restore();
     }
 
+    function renderWalls() {
+        if (!sim.walls.size) return;
+        const inset = TILE * 0.08;
+        ctx.save();
+        ctx.fillStyle = state.theme.wall;
+        sim.walls.forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            drawRoundedRect(x * TILE + inset, y * TILE + inset, TILE - inset * 2, TILE - inset * 2, TILE * 0.2);
+        });
+        ctx.restore();
+    }
+
+    // Each linked pair gets its own hue so players can tell them apart
+    function renderPortals() {
+        if (!sim.level || !sim.level.portals.length) return;
+        ctx.save();
+        ctx.lineWidth = 3;
+        sim.level.portals.forEach((pair, i) => {
+            const hue = PORTAL_HUES[i % PORTAL_HUES.length];
+            ctx.strokeStyle = `hsla(${hue}, 90%, 65%, 0.85)`;
+            ctx.fillStyle = `hsla(${hue}, 90%, 65%, 0.15)`;
+            pair.forEach(([x, y]) => {
+                ctx.beginPath();
+                ctx.arc(x * TILE + TILE / 2, y * TILE + TILE / 2, TILE * 0.34, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    }
+
+    // Editor extras: food spawn cells and a half-placed portal
+    function renderEditorMarks() {
+        const ed = state.editor;
+        ctx.save();
+        ctx.fillStyle = withAlpha(state.theme.food, 0.5);
+        (ed.draft.food.spawns || []).forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x * TILE + TILE / 2, y * TILE + TILE / 2, TILE * 0.12, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        if (ed.pendingPortal) {
+            const [x, y] = ed.pendingPortal;
+            ctx.setLineDash([4, 4]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = state.theme.mark;
+            ctx.beginPath();
+            ctx.arc(x * TILE + TILE / 2, y * TILE + TILE / 2, TILE * 0.34, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
     function drawRoundedRect(x, y, w, h, radius) {
         const r = Math.min(radius, w / 2, h / 2);
         const x2 = x + w, y2 = y + h;
@@ -476,21 +4035,23 @@
     }
 
     function renderFood(margin) {
+        // a full board, or one whose last free cells hold items
+        if (!sim.food) return;
         const t = state.foodFxAt ? (now() - state.foodFxAt) : FOOD_FX_MS;
         const raw = clamp01(t / FOOD_FX_MS);
         const p = easeOutCubic(raw);
         const scale = 0.94 + 0.06 * p; // 0.94 -> 1.0
         const alpha = 0.75 + 0.25 * p;
-        const cx = state.food.x * TILE + TILE / 2;
-        const cy = state.food.y * TILE + TILE / 2;
+        const cx = sim.food.x * TILE + TILE / 2;
+        const cy = sim.food.y * TILE + TILE / 2;
         const w = (TILE - margin) * scale;
         const h = (TILE - margin) * scale;
 
         // halo
         const haloR = TILE * (0.45 + 0.15 * p);
         const g = ctx.createRadialGradient(cx, cy, 0, cx, cy, haloR);
-        g.addColorStop(0, 'rgba(255,87,87,' + (0.10 * p).toFixed(3) + ')');
-        g.addColorStop(1, 'rgba(255,87,87,0)');
+        g.addColorStop(0, withAlpha(state.theme.food, 0.10 * p));
+        g.addColorStop(1, withAlpha(state.theme.food, 0));
         ctx.save();
         ctx.globalCompositeOperation = 'lighter';
         ctx.fillStyle = g;
@@ -501,7 +4062,7 @@
 
         // subtle drop shadow for the fruit
         ctx.save();
-        ctx.shadowColor = 'rgba(0,0,0,0.35)';
+        ctx.shadowColor = state.theme.shadow;
         ctx.shadowBlur = 1.5 * SSAA;
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = 0.8 * SSAA;
@@ -511,23 +4072,161 @@
         ctx.save();
         ctx.globalAlpha = alpha;
         ctx.filter = `blur(${Math.max(0, (1 - p) * 0.4).toFixed(2)}px)`; // a touch of spawn blur
-        ctx.fillStyle = "#ff5757";
+        ctx.fillStyle = state.theme.food;
         drawRoundedRect(cx - w / 2, cy - h / 2, w, h, TILE - margin);
         ctx.restore();
     }
 
-    function computeSnakePoints(moved, margin) {
+    // Each item type gets its own shape; a ring shows how long it stays
+    function renderItems(margin) {
+        sim.items.forEach(it => {
+            const color = state.theme.items[it.type];
+            const life = SnakeCore.ITEMS[it.type].lifeMs;
+            const left = it.expiresAt - sim.simMs;
+            const born = itemFxAt.get(it);
+            const p = easeOutCubic(clamp01(born ? (now() - born) / FOOD_FX_MS : 1));
+            const cx = it.x * TILE + TILE / 2;
+            const cy = it.y * TILE + TILE / 2;
+            const size = (TILE - margin) * (0.7 + 0.3 * p);
+            const blink = left < ITEM_BLINK_MS && Math.floor(now() / 150) % 2 === 0;
+
+            ctx.save();
+            ctx.globalAlpha = (blink ? 0.35 : 1) * (0.6 + 0.4 * p);
+            ctx.fillStyle = color;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            if (it.type === 'bonus') {
+                drawRoundedRect(cx - size / 2, cy - size / 2, size, size, size * 0.3);
+            } else if (it.type === 'slow') {
+                // clock face
+                ctx.beginPath();
+                ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(cx, cy - size * 0.32);
+                ctx.lineTo(cx, cy);
+                ctx.lineTo(cx + size * 0.24, cy);
+                ctx.stroke();
+            } else if (it.type === 'shrink') {
+                ctx.beginPath();
+                ctx.moveTo(cx, cy - size / 2);
+                ctx.lineTo(cx + size / 2, cy);
+                ctx.lineTo(cx, cy + size / 2);
+                ctx.lineTo(cx - size / 2, cy);
+                ctx.closePath();
+                ctx.fill();
+            } else if (it.type === 'ghost') {
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.globalAlpha *= 0.35;
+                ctx.fill();
+            }
+            // remaining lifetime
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 0.5;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(cx, cy, TILE * 0.46, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * clamp01(left / life));
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    // Dotted trail along the bot's suggested path, fading towards the food
+    function renderHint() {
+        const path = hintPath();
+        if (!path || !path.length) return;
+        ctx.save();
+        ctx.fillStyle = state.theme.food;
+        path.forEach((c, i) => {
+            ctx.globalAlpha = 0.55 - 0.35 * (i / path.length);
+            ctx.beginPath();
+            ctx.arc(c.x * TILE + TILE / 2, c.y * TILE + TILE / 2, TILE * 0.1, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    // Score, time, length, board and speed of a single-player run, the
+    // combo multiplier, and active power-up timers, e.g. "Slow 3.2s ·
+    // Ghost 1.1s"; the players' food counts in versus
+    function updateHud() {
+        const hud = $('#hud');
+        if (!hud) return;
+        const parts = [];
+        if ((state.started || state.online) && !state.editor && isVersus()) {
+            sim.snakes.forEach((s, i) => parts.push(`<span class="player" style="color:${state.theme.snakes[i]}">P${i + 1} ${s.score}</span>`));
+        } else if ((state.started || state.replay) && !state.editor) {
+            parts.push(...runHud());
+        }
+        // whatever the bot is helping with
+        if (state.started && !state.editor && !state.replay) {
+            if (state.autopilot) parts.push('<span class="assist">Autopilot</span>');
+            if (state.hints) parts.push('<span class="assist">Hints</span>');
+            if (state.lockStep) parts.push('<span class="assist">Lock-step</span>');
+        }
+        if (state.started && !state.editor) {
+            Object.keys(sim.effects).forEach(type => {
+                const left = game.effectLeft(type);
+                if (left > 0) parts.push(`<span class="effect ${type}">${SnakeCore.ITEMS[type].name} ${(left / 1000).toFixed(1)}s</span>`);
+            });
+        }
+        const html = parts.join(' · ');
+        if (hud.innerHTML !== html) hud.innerHTML = html;
+        // on the HUD itself: its contents are rebuilt every frame, which
+        // would restart the animation
+        hud.classList.toggle('flash', state.bestAt !== null && now() - state.bestAt < BEST_FLASH_MS && !reducedMotion());
+    }
+
+    function runHud() {
+        const parts = [];
+        const elapsed = runElapsed();
+        const best = state.bestAt !== null && now() - state.bestAt < BEST_FLASH_MS;
+        parts.push(`<span class="score">${sim.score}${best ? ' <span class="best">New best!</span>' : ''}</span>`);
+        parts.push(formatTime(elapsed));
+        parts.push(`length ${sim.snake.length}`);
+        // how far the board is towards growing again
+        const growing = sim.grow && sim.grid < sim.difficulty.maxGrid;
+        const fill = growing ? ` ${Math.min(99, Math.floor(sim.snake.length / (sim.grid ** 2 * sim.difficulty.growFill) * 100))}%` : '';
+        parts.push(`${sim.grid}×${sim.grid}${fill}`);
+        parts.push(`${(1000 / tickMs()).toFixed(1)}/s`);
+        const combo = game.comboStatus();
+        if (combo && combo.streak) parts.push(`<span class="combo">×${combo.multiplier} ${combo.ticksLeft}</span>`);
+        const lead = ghostLead();
+        if (lead !== null && !state.replay) {
+            const text = lead > 0 ? `ahead of ghost by ${lead}` : lead < 0 ? `behind ghost by ${-lead}` : 'level with ghost';
+            parts.push(`<span class="ghost ${lead > 0 ? 'ahead' : lead < 0 ? 'behind' : 'level'}">${text}</span>`);
+        }
+        return parts;
+    }
+
+    // With portal walls a neighbour may sit on the far edge; shift it next to `to`
+    function nearCell(from, to) {
+        if (!sim.wrap) return from;
+        const g = sim.grid;
+        const dx = from.x - to.x, dy = from.y - to.y;
+        return {
+            x: dx > 1 ? from.x - g : dx < -1 ? from.x + g : from.x,
+            y: dy > 1 ? from.y - g : dy < -1 ? from.y + g : from.y,
+        };
+    }
+
+    function computeSnakePoints(snake, moved) {
+        const body = snake.body;
         const pts = [];
-        state.snake.forEach((point, i) => {
+        body.forEach((point, i) => {
             if (i === 0) {
                 // head lerp from 2nd to 1st segment for smoothness
-                const nx = (state.snake[1].x + (point.x - state.snake[1].x) * moved) * TILE;
-                const ny = (state.snake[1].y + (point.y - state.snake[1].y) * moved) * TILE;
+                const prev = nearCell(body[1], point);
+                const nx = (prev.x + (point.x - prev.x) * moved) * TILE;
+                const ny = (prev.y + (point.y - prev.y) * moved) * TILE;
                 pts.push({ x: nx, y: ny });
-            } else if (i === state.snake.length - 1) {
+            } else if (i === body.length - 1) {
                 // tail stays for the frame if we ate
-                const last = state.snake[state.snake.length - 2];
-                const tailFactor = state.ateOnLastStep ? 0 : (1 - moved);
+                const last = nearCell(body[body.length - 2], point);
+                const tailFactor = snake.ateOnLastStep ? 0 : (1 - moved);
                 const nx = (last.x + (point.x - last.x) * tailFactor) * TILE;
                 const ny = (last.y + (point.y - last.y) * tailFactor) * TILE;
                 pts.push({ x: nx, y: ny });
@@ -538,39 +4237,93 @@
         return pts;
     }
 
-    function renderSnake(points, margin) {
+    // Path through the segment centers; where the body crosses a portal wall
+    // it runs off one edge and continues in from the opposite one
+    function traceSnakePath(centers) {
+        const span = sim.grid * TILE;
+        const wrapShift = d => (d > span / 2 ? span : d < -span / 2 ? -span : 0);
+        ctx.beginPath();
+        ctx.moveTo(centers[0].x, centers[0].y);
+        for (let i = 1; i < centers.length; i++) {
+            const a = centers[i - 1], b = centers[i];
+            const sx = wrapShift(b.x - a.x), sy = wrapShift(b.y - a.y);
+            if (sx || sy) {
+                ctx.lineTo(b.x - sx, b.y - sy);
+                ctx.moveTo(a.x + sx, a.y + sy);
+            }
+            ctx.lineTo(b.x, b.y);
+        }
+    }
+
+    // Draws one snake in the theme's colour for `player`, styled by the skin
+    function renderSnake(points, margin, snake, player) {
         // Build a central path through the segment centers
         const centers = points.map(p => ({ x: p.x + TILE / 2, y: p.y + TILE / 2 }));
         if (centers.length < 2) return;
+        const theme = state.theme;
+        const skin = state.skin;
+        const color = theme.snakes[player];
+        const width = TILE - margin;
 
         ctx.save();
         ctx.lineJoin = 'round';
         ctx.lineCap = 'round';
 
         // Soft drop shadow for depth
-        ctx.shadowColor = 'rgba(0,0,0,0.35)';
+        ctx.shadowColor = theme.shadow;
         ctx.shadowBlur = 2.0 * SSAA;
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = 1 * SSAA;
 
         // Wider faint outer stroke as a gentle edge/ambient occlusion
-        ctx.beginPath();
-        ctx.moveTo(centers[0].x, centers[0].y);
-        for (let i = 1; i < centers.length; i++) ctx.lineTo(centers[i].x, centers[i].y);
-        ctx.strokeStyle = 'rgba(255,255,255,0.12)';
-        ctx.lineWidth = (TILE - margin) + 2;
+        traceSnakePath(centers);
+        ctx.strokeStyle = theme.snakeEdge;
+        ctx.lineWidth = width + 2;
         ctx.stroke();
 
-        // Main crisp body stroke
-        ctx.beginPath();
-        ctx.moveTo(centers[0].x, centers[0].y);
-        for (let i = 1; i < centers.length; i++) ctx.lineTo(centers[i].x, centers[i].y);
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = (TILE - margin);
-        ctx.stroke();
+        ctx.lineWidth = width;
+        if (skin.body === 'gradient') {
+            // segment by segment from the tail, so the head ends up on top;
+            // the shadow is already under the edge stroke
+            ctx.shadowColor = 'transparent';
+            for (let i = centers.length - 2; i >= 0; i--) {
+                traceSnakePath([centers[i], centers[i + 1]]);
+                ctx.strokeStyle = mixColor(color, theme.board, 0.6 * i / Math.max(1, centers.length - 2));
+                ctx.stroke();
+            }
+        } else {
+            // Main crisp body stroke
+            traceSnakePath(centers);
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        }
+        if (skin.body === 'bands') {
+            ctx.shadowColor = 'transparent';
+            ctx.lineCap = 'butt';
+            ctx.lineWidth = width * 0.7;
+            ctx.strokeStyle = mixColor(color, theme.board, 0.35);
+            for (let i = 1; i < centers.length - 1; i += 2) {
+                traceSnakePath([centers[i], centers[i + 1]]);
+                ctx.stroke();
+            }
+        }
+        if (skin.eyes) renderEyes(centers[0], snake.dir, width);
         ctx.restore();
     }
 
+    // Two eyes on the head, looking where the snake is going
+    function renderEyes(head, dir, width) {
+        const side = { x: -dir.y, y: dir.x };
+        ctx.shadowColor = 'transparent';
+        ctx.fillStyle = state.theme.eyes;
+        [-1, 1].forEach(s => {
+            ctx.beginPath();
+            ctx.arc(head.x + dir.x * width * 0.18 + side.x * width * 0.24 * s,
+                head.y + dir.y * width * 0.18 + side.y * width * 0.24 * s, width * 0.11, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
     function renderEatWave() {
         if (!state.eatWave) return;
         const t = now() - state.eatWave.start;
@@ -582,24 +4335,92 @@
         ctx.globalAlpha = 0.22 * (1 - u);
         ctx.filter = 'blur(' + (1.1 * (1 - u)).toFixed(2) + 'px)';
         ctx.lineWidth = 1 + (1 - u) * 1.5;
-        ctx.strokeStyle = '#ff5757';
+        ctx.strokeStyle = state.eatWave.color || state.theme.food;
         ctx.beginPath();
         ctx.arc(state.eatWave.x, state.eatWave.y, r, 0, Math.PI * 2);
         ctx.stroke();
         ctx.restore();
     }
 
+    // A filled board: rings spread from the last meal, and a glint runs
+    // down the snake from head to tail for as long as the result is up
+    function renderVictory() {
+        if (state.victoryAt === null) return;
+        const t = now() - state.victoryAt;
+        const cells = sim.snakes.flatMap(s => s.body);
+        ctx.save();
+        ctx.fillStyle = state.theme.items.bonus;
+        if (reducedMotion()) {
+            ctx.globalAlpha = 0.3;
+            cells.forEach(p => ctx.fillRect(p.x * TILE, p.y * TILE, TILE, TILE));
+            ctx.restore();
+            return;
+        }
+        const at = (t % VICTORY_FX_MS) / VICTORY_FX_MS * (cells.length + VICTORY_GLINT);
+        cells.forEach((p, i) => {
+            const d = at - i;
+            if (d < 0 || d > VICTORY_GLINT) return;
+            ctx.globalAlpha = 0.6 * (1 - d / VICTORY_GLINT);
+            ctx.fillRect(p.x * TILE, p.y * TILE, TILE, TILE);
+        });
+        const head = cells[0];
+        ctx.strokeStyle = state.theme.items.bonus;
+        ctx.lineWidth = 3;
+        for (let k = 0; k < 3; k++) {
+            const u = clamp01((t - k * 250) / VICTORY_FX_MS);
+            if (u <= 0 || u >= 1) continue;
+            ctx.globalAlpha = 0.5 * (1 - u);
+            ctx.beginPath();
+            ctx.arc(head.x * TILE + TILE / 2, head.y * TILE + TILE / 2, easeOutCubic(u) * sim.grid * TILE, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // How far the snake has travelled towards its next cell, 0..1
+    function stepProgress() {
+        if (state.online) {
+            if (sim.gameOver || !isOnlineRound()) return 1;
+            return clamp01((now() - state.online.snapAt) / sim.stepMs);
+        }
+        if (sim.gameOver || (!state.started && !isAttract())) return 1;
+        if (state.replay) {
+            const p = state.replay.player;
+            if (sim.tick >= p.total) return 1;
+            const from = p.timeAt(sim.tick);
+            const to = p.timeAt(sim.tick + 1);
+            return clamp01((state.replay.clock - from) / Math.max(1, to - from));
+        }
+        return clamp01(state.stepAcc / tickMs());
+    }
+
     function renderFrame() {
-        const moved = (state.gameOver || !state.started) ? 1 : Math.min(1, (now() - state.lastStepAt) / state.stepMs);
+        const moved = stepProgress();
         const margin = TILE * (12 / 30);
 
         clearBoard();
         drawGrid();
-        renderFood(margin);
+        renderWalls();
+        renderPortals();
+        if (state.editor) renderEditorMarks();
+        else {
+            renderFood(margin);
+            renderItems(margin);
+            renderHint();
+            renderGhost(margin);
+        }
 
-        const snakePoints = computeSnakePoints(moved, margin);
-        renderSnake(snakePoints, margin);
+        // ghosts are see-through, and flicker when the effect runs out
+        const ghostLeft = game.effectLeft('ghost');
+        ctx.save();
+        if (ghostLeft > 0) ctx.globalAlpha = ghostLeft < ITEM_BLINK_MS && Math.floor(now() / 150) % 2 === 0 ? 0.75 : 0.45;
+        sim.snakes.forEach((snake, i) => renderSnake(computeSnakePoints(snake, moved), margin, snake, i));
+        ctx.restore();
         renderEatWave();
+        renderVictory();
+        updateHud();
+        updateDebugOverlay();
+        syncUpdateBar();
 
         const gameEl = $('#game');
         const menuEl = $('#menu');
@@ -609,16 +4430,100 @@
     // ==========================
     // Main Loop
     // ==========================
+    // Frame timing for the debug overlay: counts over the current window,
+    // and the figures of the last full one
+    const frameStats = { from: null, frames: 0, steps: 0, worst: 0, dropped: 0, shown: null };
+
     function loop(ts) {
-        if (!state.lastStepAt) state.lastStepAt = ts;
-        if (state.started && !state.gameOver && ts - state.lastStepAt >= state.stepMs) {
-            state.lastStepAt = ts;
-            step();
-        }
+        pollGamepads();
+        const dt = state.lastFrameAt === null ? 0 : Math.max(0, ts - state.lastFrameAt);
+        state.lastFrameAt = ts;
+        if (state.replay) updateReplay(ts);
+        else if (updatePause(ts)) { /* frozen until the countdown ends */ }
+        else if (state.started && !sim.gameOver) updateRun(ts, dt);
+        else if (isAttract()) updateAttract(ts, dt);
+        trackFrame(ts, dt);
+        audio.update(musicMode(), tickMs());
         renderFrame();
+        if (state.clip) updateClip(ts);
         requestAnimationFrame(loop);
     }
 
+    function updateRun(ts, dt) {
+        // an agent in lock-step decides when the tick comes; the
+        // accumulator only drives the animation towards it
+        if (state.lockStep) {
+            state.stepAcc = Math.min(state.stepAcc + dt, tickMs());
+            if (state.agentMoved) {
+                state.stepAcc = 0;
+                runTick();
+            }
+        } else {
+            runDueSteps(ts, dt, runTick);
+        }
+        updateGhost();
+    }
+
+    function runTick() {
+        state.agentMoved = false;
+        step();
+        notifyAgents();
+        announceTick();
+        checkFeats();
+    }
+
+    // Fixed timestep: every frame adds its time and each tick takes
+    // tickMs() off again, so leftover time carries over and a slow frame
+    // runs every tick that came due. After a long stall at most
+    // MAX_CATCHUP_STEPS run; the rest are dropped instead of rushing
+    // through them.
+    function runDueSteps(ts, dt, tick) {
+        state.stepAcc += dt;
+        let ran = 0;
+        while (!sim.gameOver && state.stepAcc >= tickMs() && ran < MAX_CATCHUP_STEPS) {
+            state.stepAcc -= tickMs();
+            state.dueAt = ts - state.stepAcc;
+            tick();
+            state.dueAt = null;
+            ran++;
+        }
+        const ms = tickMs();
+        if (sim.gameOver) {
+            state.stepAcc = 0;
+        } else if (state.stepAcc >= ms) {
+            const lost = Math.floor(state.stepAcc / ms);
+            state.stepAcc -= lost * ms;
+            if (state.started) frameStats.dropped += lost;
+        }
+    }
+
+    function trackFrame(ts, dt) {
+        const f = frameStats;
+        if (f.from === null) f.from = ts;
+        f.frames += 1;
+        f.worst = Math.max(f.worst, dt);
+        const span = ts - f.from;
+        if (span < DEBUG_WINDOW_MS) return;
+        f.shown = { fps: f.frames * 1000 / span, frameMs: span / f.frames, worst: f.worst, tickRate: f.steps * 1000 / span };
+        f.from = ts;
+        f.frames = 0;
+        f.steps = 0;
+        f.worst = 0;
+    }
+
+    // Frame rate, frame time, ticks per second against the target and
+    // ticks dropped this run (toggled with F3)
+    function updateDebugOverlay() {
+        const el = $('#debug');
+        if (!el) return;
+        el.hidden = !state.debug;
+        const f = frameStats.shown;
+        if (!state.debug || !f) return;
+        const text = `${f.fps.toFixed(0)} fps · frame ${f.frameMs.toFixed(1)} ms (worst ${f.worst.toFixed(0)})`
+            + ` · ticks ${f.tickRate.toFixed(1)}/s of ${(1000 / tickMs()).toFixed(1)} · dropped ${frameStats.dropped}`;
+        if (el.textContent !== text) el.textContent = text;
+    }
+
     // ==========================
     // Bootstrap
     // ==========================
@@ -628,36 +4533,71 @@
         document.addEventListener('touchstart', onTouchStart, { passive: false });
         document.addEventListener('touchmove', onTouchMove, { passive: false });
         document.addEventListener('touchend', onTouchEnd, { passive: false });
+        document.addEventListener('input', onReplaySeekInput);
+        document.addEventListener('input', onVolumeInput);
+        document.addEventListener('input', onControlsInput);
+        window.addEventListener('gamepadconnected', onGamepadChange);
+        window.addEventListener('gamepaddisconnected', onGamepadChange);
+        ['keydown', 'pointerdown', 'touchstart'].forEach(type => document.addEventListener(type, unlockAudio, true));
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        window.addEventListener('blur', onWindowBlur);
+        const replayFile = $('#replayFile');
+        if (replayFile) replayFile.addEventListener('change', onReplayFileChange);
+        const levelFile = $('#levelFile');
+        if (levelFile) levelFile.addEventListener('change', onLevelFileChange);
+        const ghostFile = $('#ghostFile');
+        if (ghostFile) ghostFile.addEventListener('change', onGhostFileChange);
+        document.addEventListener('input', onEditorInput);
+        document.addEventListener('change', onStatsChange);
+        document.addEventListener('change', onDifficultyChange);
+        window.addEventListener('online', sendQueuedScores);
+        document.addEventListener('fullscreenchange', onFullscreenChange);
+        const dataFile = $('#dataFile');
+        if (dataFile) dataFile.addEventListener('change', onDataFileChange);
+        canvas.addEventListener('pointerdown', onEditorPointerDown);
+        canvas.addEventListener('pointermove', onEditorPointerMove);
+        window.addEventListener('pointerup', onEditorPointerUp);
+        migrateStorage();
+        applyTheme();
+        syncAudioControls();
+        syncFullscreenButton();
+        registerServiceWorker();
+        state.level = levelFromHash();
         setupHiDPI(BASE_GRID);
         // initial state: show welcome
         resetToWelcome();
+        // invite links drop straight into their room
+        if (urlRoom()) joinRoom(urlRoom(), false);
         requestAnimationFrame(loop);
     }
 
     function resetToWelcome() {
-        // Use reset mechanics but keep not-started state for welcome screen
-        state.grid = 10;
-        state.stepMs = 150 * (15 / state.grid);
-        state.snake = [ { x: 3, y: 3 }, { x: 2, y: 3 }, { x: 1, y: 3 } ];
-        state.dir = { x: 1, y: 0 };
-        state.queuedDirs = [];
-        // rebuild occupied set
-        state.occupied = new Set();
-        state.snake.forEach(p => state.occupied.add(posKey(p.x, p.y)));
-        state.food = spawnFood();
-        state.score = 0;
-        state.lastStepAt = 0;
-        state.gameOver = false;
-        state.ateOnLastStep = false;
-        state.runStartAt = now();
-        state.endedAt = null;
+        resetPreview();
         state.menuPopulated = false;
         state.started = false;        // <= show welcome
         state.welcomePopulated = false;
+        if (state.stats) state.stats.populated = false;
+        state.nameEntryId = 0;
+        state.globalBoard = null;
+        state.ghost = null;
+        saveFeats();
+        state.feats = null;
+        releaseQueuedRuns();
         state.foodFxAt = null;       // prevent pre-start food spawn effect
+    }
+
+    // Fresh board behind the welcome screen for the demo run;
+    // growing modes preview on a slightly larger board than they start with
+    function resetPreview() {
+        const mode = SnakeCore.MODES[state.mode];
+        if (state.level) game.reset({ level: state.level });
+        else game.reset({ mode: state.mode, grid: mode.grid ? undefined : 10 });
+        state.stepAcc = 0;
+        state.attractEndedAt = null;
         state.eatWave = null;
         state.shakeUntil = null;
-        setupHiDPI(state.grid);
+        state.victoryAt = null;
+        setupHiDPI(sim.grid);
     }
 
     // Start
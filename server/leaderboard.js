@@ -0,0 +1,291 @@
+"use strict";
+
+// Global leaderboard: a top list per mode and per daily board, kept in a
+// JSON file. Every submission carries the run's replay, which is played
+// back here; the score on the board is the one the replay produces.
+//
+//   GET  /api/scores?mode=classic[&combo=1][&difficulty=hard][&daily=YYYY-MM-DD][&limit=10]
+//        -> { board, entries: [{ rank, name, score, timeMs, date, difficulty, result }] }
+//           (result is "perfect" for a run that filled the board, else "died")
+//   POST /api/scores  { name, daily?, replay }
+//        -> 201 { board, rank, entry }   (rank is null when it didn't place)
+//        -> 400 { error } for runs that don't check out
+//        -> 503 { error } while too many runs wait to be checked
+//
+// Replays are checked on a worker thread (verifier.js), one at a time.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const SnakeCore = require("../core.js");
+
+const BOARD_SIZE = 100;              // Entries kept per board
+const DAILY_KEEP_DAYS = 14;          // Older daily boards get pruned
+const MAX_BODY = 512 * 1024;         // A long run's replay is a few dozen KB
+const MAX_TICKS = 200000;
+const PACE_TOLERANCE = 0.8;          // Ticks may come this much faster than stepMs (timer jitter)
+const SUBMITS_PER_MINUTE = 10;       // Per client address
+const MAX_PENDING = 20;              // Runs waiting for the verifier before new ones are turned away
+const SAVE_DELAY_MS = 1000;          // Writes are batched
+const MAX_NAME = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIG_KEYS = ["mode", "seed", "combo", "difficulty"]; // Run settings a ranked run may use
+
+function cleanName(name) {
+    const n = typeof name === "string" ? name.replace(/\s+/g, " ").trim().slice(0, MAX_NAME) : "";
+    return n || "Anonymous";
+}
+
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Runs with combos or on another difficulty than normal score
+// differently, so they get boards of their own
+function boardKey(mode, daily, combo, difficulty) {
+    let m = combo ? mode + "+combo" : mode;
+    if (difficulty && difficulty !== SnakeCore.DEFAULT_DIFFICULTY) m += "+" + difficulty;
+    return daily ? `daily:${daily}:${m}` : m;
+}
+
+
+// Plays a submitted replay back; returns the run it describes, or throws
+// when it can't be a real, finished single-player run
+function verifyRun(data) {
+    const replay = SnakeCore.parseReplay(data);
+    const config = replay.config;
+    if (Object.keys(config).some(k => !CONFIG_KEYS.includes(k))) throw new Error("Only the standard modes are ranked");
+    if (config.combo !== undefined && config.combo !== true) throw new Error("Only the standard modes are ranked");
+    // custom settings are endless, so only the presets have boards
+    if (config.difficulty !== undefined && !(typeof config.difficulty === "string" && SnakeCore.DIFFICULTIES[config.difficulty])) {
+        throw new Error("Custom difficulty isn't ranked");
+    }
+    const mode = SnakeCore.MODES[config.mode];
+    if (!mode || mode.players > 1) throw new Error("This mode isn't ranked");
+    if (replay.inputs.some(i => i[2] != null)) throw new Error("Single-player runs only");
+    if (replay.tickMs.length > MAX_TICKS) throw new Error("Run is too long");
+
+    let clock = 0;
+    const game = SnakeCore.createGame({ now: () => clock });
+    const player = SnakeCore.createReplayer(game, replay);
+    for (let i = 0; i < player.total; i++) {
+        // nobody plays faster than the game ticks
+        if (i > 0 && replay.tickMs[i] < game.state.stepMs * PACE_TOLERANCE) throw new Error("Run is faster than the game allows");
+        clock += replay.tickMs[i];
+        player.advance();
+        if (game.state.gameOver) break;
+    }
+    const st = game.state;
+    if (!st.gameOver || st.tick !== player.total) throw new Error("Replay doesn't end where the run did");
+    if (st.score !== replay.score) throw new Error("Score doesn't match the replay");
+    const hash = crypto.createHash("sha256").update(JSON.stringify([config, replay.inputs, replay.tickMs])).digest("base64url");
+    const result = st.wonBy === "perfect" ? "perfect" : "died";
+    return { mode: config.mode, combo: st.combo, difficulty: st.difficulty.key, result, seed: String(config.seed), score: st.score, ticks: st.tick, timeMs: Math.round(clock), hash };
+}
+
+function rankEntries(list) {
+    return list.sort((a, b) => (b.score - a.score) || (a.timeMs - b.timeMs) || (a.date - b.date));
+}
+
+function publicEntry(e, i) {
+    return { rank: i + 1, name: e.name, score: e.score, timeMs: e.timeMs, date: e.date, difficulty: e.difficulty || SnakeCore.DEFAULT_DIFFICULTY, result: e.result || "died" };
+}
+
+function createLeaderboard(file) {
+    let data = { version: 1, boards: {} };
+    try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    let saveTimer = null;
+    const recent = new Map();        // address -> submission times in the last minute
+    let verifier = null;
+    let nextJob = 0;
+    const pending = new Map();       // job id -> { resolve, reject }
+
+    // ==========================
+    // Verification
+    // ==========================
+    function startVerifier() {
+        verifier = new Worker(path.join(__dirname, "verifier.js"));
+        verifier.on("message", ({ id, run, error }) => {
+            const job = pending.get(id);
+            if (!job) return;
+            pending.delete(id);
+            if (!pending.size) verifier.unref();
+            if (error) job.reject(new Error(error));
+            else job.resolve(run);
+        });
+        verifier.on("error", err => console.error("Verifier failed:", err.message));
+        // a crashed verifier takes its queue with it; the next run starts a new one
+        verifier.on("exit", () => {
+            verifier = null;
+            pending.forEach(job => job.reject(new Error("Could not check the run, try again")));
+            pending.clear();
+        });
+    }
+
+    // Resolves with verifyRun()'s result for `replay`, or rejects
+    function verify(replay) {
+        if (pending.size >= MAX_PENDING) {
+            const err = new Error("The leaderboard is busy, try again in a minute");
+            err.status = 503;
+            return Promise.reject(err);
+        }
+        if (!verifier) startVerifier();
+        // only keep the process alive while runs are waiting
+        verifier.ref();
+        const id = ++nextJob;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            verifier.postMessage({ id, replay });
+        });
+    }
+
+    // ==========================
+    // Store
+    // ==========================
+    function save() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            // write then rename, so a crash never leaves half a file
+            const tmp = file + ".tmp";
+            fs.mkdir(path.dirname(file), { recursive: true }, () => {
+                fs.writeFile(tmp, JSON.stringify(data), err => {
+                    if (err) return console.error("Could not save scores:", err.message);
+                    fs.rename(tmp, file, e => { if (e) console.error("Could not save scores:", e.message); });
+                });
+            });
+        }, SAVE_DELAY_MS);
+    }
+
+    function pruneDaily(today) {
+        const oldest = dayKey(Date.parse(today) - (DAILY_KEEP_DAYS - 1) * DAY_MS);
+        Object.keys(data.boards).forEach(k => {
+            if (k.startsWith("daily:") && k.slice(6, 16) < oldest) delete data.boards[k];
+        });
+    }
+
+    function top(mode, daily, limit, combo, difficulty) {
+        const key = boardKey(mode, daily, combo, difficulty);
+        return { board: key, entries: (data.boards[key] || []).slice(0, limit).map(publicEntry) };
+    }
+
+    async function submit(body) {
+        if (!body || typeof body !== "object") throw new Error("Malformed submission");
+        const run = await verify(body.replay);
+        let daily = null;
+        if (body.daily != null) {
+            daily = String(body.daily);
+            // the day may just have rolled over while the run was going
+            const now = Date.now();
+            if (daily !== dayKey(now) && daily !== dayKey(now - DAY_MS)) throw new Error("That daily board is closed");
+            if (run.seed !== SnakeCore.dailySeed(daily)) throw new Error("Run wasn't played on that daily board");
+        }
+        const key = boardKey(run.mode, daily, run.combo, run.difficulty);
+        const list = data.boards[key] || [];
+
+        // a client retrying after a lost answer gets the same result
+        let index = list.findIndex(e => e.hash === run.hash);
+        if (index < 0) {
+            const entry = { name: cleanName(body.name), score: run.score, timeMs: run.timeMs, ticks: run.ticks, date: Date.now(), seed: run.seed, difficulty: run.difficulty, result: run.result, hash: run.hash };
+            list.push(entry);
+            rankEntries(list);
+            list.length = Math.min(list.length, BOARD_SIZE);
+            data.boards[key] = list;
+            index = list.indexOf(entry);
+            if (daily) pruneDaily(dayKey(Date.now()));
+            save();
+        }
+        const placed = index >= 0 ? publicEntry(list[index], index) : { rank: null, name: cleanName(body.name), score: run.score, timeMs: run.timeMs, difficulty: run.difficulty, result: run.result };
+        return { board: key, rank: placed.rank, entry: placed };
+    }
+
+    // ==========================
+    // HTTP
+    // ==========================
+    function reply(res, status, body) {
+        res.writeHead(status, {
+            "Content-Type": "application/json; charset=utf-8",
+            "Cache-Control": "no-store",
+            // the game may be hosted somewhere else than the leaderboard
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+            "Access-Control-Allow-Headers": "Content-Type",
+        });
+        res.end(body === undefined ? undefined : JSON.stringify(body));
+    }
+
+    function limited(address) {
+        const cutoff = Date.now() - 60000;
+        const times = (recent.get(address) || []).filter(t => t > cutoff);
+        times.push(Date.now());
+        recent.set(address, times);
+        return times.length > SUBMITS_PER_MINUTE;
+    }
+
+    // Oversized bodies are read to the end but not kept, so the client
+    // still gets its 413
+    function readBody(req, done) {
+        const chunks = [];
+        let size = 0;
+        req.on("data", chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY) chunks.push(chunk);
+        });
+        req.on("end", () => {
+            if (size > MAX_BODY) done(new Error("Submission is too big"));
+            else done(null, Buffer.concat(chunks).toString("utf8"));
+        });
+    }
+
+    // Answers requests under /api/scores; returns false for anything else
+    function handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== "/api/scores") return false;
+        if (req.method === "OPTIONS") {
+            reply(res, 204);
+        } else if (req.method === "GET") {
+            const mode = url.searchParams.get("mode") || SnakeCore.DEFAULT_MODE;
+            const daily = url.searchParams.get("daily");
+            const limit = Math.max(1, Math.min(BOARD_SIZE, Number(url.searchParams.get("limit")) || 10));
+            const combo = url.searchParams.get("combo") === "1";
+            const difficulty = url.searchParams.get("difficulty") || SnakeCore.DEFAULT_DIFFICULTY;
+            if (!SnakeCore.MODES[mode]) reply(res, 400, { error: "Unknown mode" });
+            else if (!SnakeCore.DIFFICULTIES[difficulty]) reply(res, 400, { error: "Unknown difficulty" });
+            else if (daily && !/^\d{4}-\d{2}-\d{2}$/.test(daily)) reply(res, 400, { error: "Bad daily date" });
+            else reply(res, 200, top(mode, daily, limit, combo, difficulty));
+        } else if (req.method === "POST") {
+            if (limited(req.socket.remoteAddress)) {
+                reply(res, 429, { error: "Too many submissions, try again in a minute" });
+                return true;
+            }
+            readBody(req, (err, text) => {
+                if (err) return reply(res, 413, { error: err.message });
+                let body;
+                try { body = JSON.parse(text); }
+                catch { return reply(res, 400, { error: "Malformed submission" }); }
+                submit(body).then(
+                    result => reply(res, 201, result),
+                    e => reply(res, e.status || 400, { error: e.message }));
+            });
+        } else {
+            reply(res, 405, { error: "Method not allowed" });
+        }
+        return true;
+    }
+
+    // Forgets addresses that have been quiet for a minute
+    function sweep() {
+        const cutoff = Date.now() - 60000;
+        recent.forEach((times, address) => {
+            if (!times.some(t => t > cutoff)) recent.delete(address);
+        });
+    }
+
+    return { handle, submit, top, sweep };
+}
+
+module.exports = { createLeaderboard, verifyRun, BOARD_SIZE };
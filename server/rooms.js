@@ -0,0 +1,308 @@
+"use strict";
+
+// Rooms for online versus matches. The server owns the simulation: clients
+// only send directions and draw the snapshots they get back every tick.
+//
+// Client -> server messages (JSON):
+//   { type: "create", name? }                    open a room and take seat 1
+//   { type: "join", code, name?, token?, spectate? }
+//                                                take a free seat, reclaim one
+//                                                with its token, or watch
+//   { type: "dir", dir: "U" | "D" | "L" | "R" }  steer your snake
+//   { type: "leave" }
+// Server -> client messages:
+//   { type: "welcome", code, role: "player" | "spectator", player, token }
+//   { type: "room", code, phase, round, bestOf, startsIn, players, spectators, note }
+//   { type: "snap", snap }                       see createGame().snapshot()
+//   { type: "error", message }
+const crypto = require("crypto");
+const SnakeCore = require("../core.js");
+
+const MODE = "versus";
+const BEST_OF = 5;                   // Rounds per match
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I mix-ups
+const CODE_LENGTH = 4;
+const ROUND_DELAY_MS = 3000;         // Countdown before a round starts or resumes
+const RECONNECT_MS = 15000;          // A dropped player's seat is held this long
+const MAX_ROOMS = 500;
+const MAX_SPECTATORS = 32;
+const MAX_NAME = 16;
+
+function cleanName(name, fallback) {
+    const n = typeof name === "string" ? name.replace(/\s+/g, " ").trim().slice(0, MAX_NAME) : "";
+    return n || fallback;
+}
+
+function createLobby() {
+    const rooms = new Map();         // code -> room
+
+    // ==========================
+    // Messaging
+    // ==========================
+    function send(client, msg) {
+        client.conn.send(JSON.stringify(msg));
+    }
+
+    function fail(client, message) {
+        send(client, { type: "error", message });
+    }
+
+    function roomMessage(room) {
+        return {
+            type: "room",
+            code: room.code,
+            phase: room.phase,
+            round: room.round,
+            bestOf: BEST_OF,
+            startsIn: room.phase === "countdown" ? Math.max(0, room.startsAt - Date.now()) : 0,
+            players: room.slots.map(s => s && { name: s.name, wins: s.wins, connected: !!s.client }),
+            spectators: room.spectators.size,
+            note: room.note,
+        };
+    }
+
+    function members(room) {
+        return room.slots.filter(s => s && s.client).map(s => s.client).concat(Array.from(room.spectators));
+    }
+
+    function broadcast(room, msg) {
+        const text = JSON.stringify(msg);
+        members(room).forEach(c => c.conn.send(text));
+    }
+
+    function broadcastRoom(room) {
+        broadcast(room, roomMessage(room));
+    }
+
+    function broadcastSnap(room) {
+        broadcast(room, { type: "snap", snap: room.game.snapshot() });
+    }
+
+    // ==========================
+    // Rooms & Seats
+    // ==========================
+    function newCode() {
+        let code;
+        do {
+            code = "";
+            for (let i = 0; i < CODE_LENGTH; i++) code += CODE_CHARS[crypto.randomInt(CODE_CHARS.length)];
+        } while (rooms.has(code));
+        return code;
+    }
+
+    function createRoom(client, msg) {
+        if (rooms.size >= MAX_ROOMS) return fail(client, "The server is full, try again later");
+        detach(client, true);
+        const room = {
+            code: newCode(),
+            slots: [null, null],     // { name, wins, token, client, dropTimer }
+            spectators: new Set(),
+            game: SnakeCore.createGame({ now: Date.now }),
+            phase: "waiting",        // waiting | countdown | playing | paused | over
+            resuming: false,         // the countdown picks a paused round back up
+            round: 0,
+            startsAt: 0,
+            timer: null,
+            note: "",
+        };
+        room.game.reset({ mode: MODE });
+        rooms.set(room.code, room);
+        seat(room, client, 0, msg.name);
+    }
+
+    function seat(room, client, index, name) {
+        room.slots[index] = {
+            name: cleanName(name, `Player ${index + 1}`),
+            wins: 0,
+            token: crypto.randomBytes(12).toString("base64url"),
+            client,
+            dropTimer: null,
+        };
+        welcome(room, client, "player", index);
+        room.note = "";
+        broadcastRoom(room);
+        maybeStart(room);
+    }
+
+    function welcome(room, client, role, player) {
+        client.room = room;
+        client.role = role;
+        client.player = player;
+        const token = role === "player" ? room.slots[player].token : null;
+        send(client, { type: "welcome", code: room.code, role, player, token });
+        if (room.round > 0) send(client, { type: "snap", snap: room.game.snapshot() });
+    }
+
+    function joinRoom(client, msg) {
+        const code = String(msg.code || "").trim().toUpperCase();
+        const room = rooms.get(code);
+        if (!room) return fail(client, "No room with that code");
+        if (client.room === room) return;
+        detach(client, true);
+
+        const index = msg.token ? room.slots.findIndex(s => s && s.token === msg.token) : -1;
+        if (index >= 0) return reclaim(room, client, index);
+        const free = room.slots.findIndex(s => !s);
+        if (!msg.spectate && free >= 0) return seat(room, client, free, msg.name);
+        if (room.spectators.size >= MAX_SPECTATORS) return fail(client, "This room has no space left");
+        room.spectators.add(client);
+        welcome(room, client, "spectator", -1);
+        broadcastRoom(room);
+    }
+
+    // A player coming back after a dropped connection
+    function reclaim(room, client, index) {
+        const slot = room.slots[index];
+        clearTimeout(slot.dropTimer);
+        slot.dropTimer = null;
+        if (slot.client) {
+            // the same player on a second tab: the old one gives way
+            slot.client.room = null;
+            slot.client.conn.close(4000, "Joined from elsewhere");
+        }
+        slot.client = client;
+        welcome(room, client, "player", index);
+        room.note = "";
+        broadcastRoom(room);
+        maybeStart(room);
+    }
+
+    // Takes a connection out of its room. Players who merely lost their
+    // connection keep their seat for RECONNECT_MS; leaving frees it at once.
+    function detach(client, leaving) {
+        const room = client.room;
+        if (!room) return;
+        client.room = null;
+        if (client.role === "spectator") {
+            room.spectators.delete(client);
+            if (!cleanup(room)) broadcastRoom(room);
+            return;
+        }
+        const index = client.player;
+        const slot = room.slots[index];
+        if (!slot || slot.client !== client) return;
+        slot.client = null;
+        if (leaving) return dropPlayer(room, index, `${slot.name} left`);
+
+        slot.dropTimer = setTimeout(() => dropPlayer(room, index, `${slot.name} did not come back`), RECONNECT_MS);
+        if (room.phase === "playing" || (room.phase === "countdown" && room.resuming)) {
+            clearTimeout(room.timer);
+            room.phase = "paused";
+        } else if (room.phase === "countdown") {
+            clearTimeout(room.timer);
+            room.phase = "waiting";
+        }
+        room.note = `${slot.name} disconnected, waiting for them to return`;
+        broadcastRoom(room);
+    }
+
+    // A seat is given up for good; whatever match was going on is over
+    function dropPlayer(room, index, note) {
+        const slot = room.slots[index];
+        if (!slot) return;
+        clearTimeout(slot.dropTimer);
+        if (slot.client) slot.client.room = null;
+        room.slots[index] = null;
+        clearTimeout(room.timer);
+        room.slots.forEach(s => { if (s) s.wins = 0; });
+        room.phase = "waiting";
+        room.round = 0;
+        room.note = note;
+        if (!cleanup(room)) broadcastRoom(room);
+    }
+
+    // Closes a room nobody is in any more; returns true if it did
+    function cleanup(room) {
+        if (members(room).length || room.slots.some(s => s)) return false;
+        clearTimeout(room.timer);
+        rooms.delete(room.code);
+        return true;
+    }
+
+    // ==========================
+    // Rounds
+    // ==========================
+    function maybeStart(room) {
+        if (!room.slots.every(s => s && s.client)) return;
+        if (room.phase !== "waiting" && room.phase !== "over" && room.phase !== "paused") return;
+        room.resuming = room.phase === "paused";
+        room.phase = "countdown";
+        room.startsAt = Date.now() + ROUND_DELAY_MS;
+        room.timer = setTimeout(() => (room.resuming ? play(room) : startRound(room)), ROUND_DELAY_MS);
+        broadcastRoom(room);
+    }
+
+    function startRound(room) {
+        // a decided match starts over
+        if (room.slots.some(s => s.wins >= Math.ceil(BEST_OF / 2))) {
+            room.slots.forEach(s => { s.wins = 0; });
+            room.round = 0;
+        }
+        room.round += 1;
+        room.game.reset({ mode: MODE, seed: crypto.randomBytes(4).toString("hex") });
+        play(room);
+    }
+
+    function play(room) {
+        room.phase = "playing";
+        room.note = "";
+        broadcastRoom(room);
+        broadcastSnap(room);
+        room.timer = setTimeout(() => tick(room), room.game.state.stepMs);
+    }
+
+    function tick(room) {
+        const st = room.game.step();
+        broadcastSnap(room);
+        if (!st.gameOver) {
+            room.timer = setTimeout(() => tick(room), st.stepMs);
+            return;
+        }
+        room.phase = "over";
+        if (st.winner !== null) {
+            const slot = room.slots[st.winner];
+            slot.wins += 1;
+            room.note = slot.wins >= Math.ceil(BEST_OF / 2) ? `${slot.name} takes the match` : `${slot.name} takes round ${room.round}`;
+        } else {
+            room.note = `Round ${room.round} is a draw`;
+        }
+        broadcastRoom(room);
+        maybeStart(room);
+    }
+
+    function steer(client, msg) {
+        const room = client.room;
+        if (!room || client.role !== "player" || room.phase !== "playing") return;
+        const dir = SnakeCore.DIR_CODES[msg.dir];
+        if (dir) room.game.queueDir(dir, client.player);
+    }
+
+    // ==========================
+    // Connections
+    // ==========================
+    function connect(conn) {
+        return { conn, room: null, role: null, player: -1 };
+    }
+
+    function receive(client, text) {
+        let msg;
+        try { msg = JSON.parse(text); }
+        catch { return fail(client, "Malformed message"); }
+        if (!msg || typeof msg !== "object") return fail(client, "Malformed message");
+        switch (msg.type) {
+            case "create": return createRoom(client, msg);
+            case "join": return joinRoom(client, msg);
+            case "dir": return steer(client, msg);
+            case "leave": return detach(client, true);
+            default: return fail(client, "Unknown message type");
+        }
+    }
+
+    function disconnect(client) {
+        detach(client, false);
+    }
+
+    return { connect, receive, disconnect, rooms };
+}
+
+module.exports = { createLobby, BEST_OF, RECONNECT_MS };
@@ -0,0 +1,107 @@
+"use strict";
+
+// Reference server for online play. Serves the game itself, runs the
+// match rooms over a WebSocket at /ws and keeps the global leaderboard at
+// /api/scores, with no dependencies beyond Node:
+//
+//   node server/server.js [port]       (or PORT=8080 HOST=localhost)
+//   SCORES_FILE=/var/lib/snake/scores.json   (default: server/scores.json)
+//
+// then open http://localhost:8080/ in two browser tabs.
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { accept } = require("./websocket.js");
+const { createLobby } = require("./rooms.js");
+const { createLeaderboard } = require("./leaderboard.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const PORT = Number(process.argv[2] || process.env.PORT) || 8080;
+const HOST = process.env.HOST || "localhost";
+const SCORES_FILE = process.env.SCORES_FILE || path.join(__dirname, "scores.json");
+const HEARTBEAT_MS = 15000;          // Ping interval; two missed pings drop the connection
+
+// Only the game's own files are served
+const STATIC = {
+    "/": "index.html",
+    "/index.html": "index.html",
+    "/core.js": "core.js",
+    "/bot.js": "bot.js",
+    "/audio.js": "audio.js",
+    "/gif.js": "gif.js",
+    "/script.js": "script.js",
+    "/style.css": "style.css",
+    "/sw.js": "sw.js",
+    "/manifest.webmanifest": "manifest.webmanifest",
+    "/icons/icon.svg": "icons/icon.svg",
+    "/icons/icon-192.png": "icons/icon-192.png",
+    "/icons/icon-512.png": "icons/icon-512.png",
+    "/icons/maskable-512.png": "icons/maskable-512.png",
+    "/icons/apple-touch-icon.png": "icons/apple-touch-icon.png",
+};
+const TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".webmanifest": "application/manifest+json",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+};
+
+function serveStatic(req, res) {
+    const file = STATIC[new URL(req.url, "http://localhost").pathname];
+    if (!file || (req.method !== "GET" && req.method !== "HEAD")) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not found");
+        return;
+    }
+    fs.readFile(path.join(ROOT, file), (err, data) => {
+        if (err) {
+            res.writeHead(500, { "Content-Type": "text/plain" });
+            res.end("Could not read " + file);
+            return;
+        }
+        res.writeHead(200, { "Content-Type": TYPES[path.extname(file)], "Cache-Control": "no-cache" });
+        res.end(req.method === "HEAD" ? undefined : data);
+    });
+}
+
+const lobby = createLobby();
+const leaderboard = createLeaderboard(SCORES_FILE);
+const connections = new Set();
+const server = http.createServer((req, res) => {
+    if (!leaderboard.handle(req, res)) serveStatic(req, res);
+});
+
+server.on("upgrade", (req, socket) => {
+    if (new URL(req.url, "http://localhost").pathname !== "/ws") {
+        socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+        return;
+    }
+    let client = null;
+    const conn = accept(req, socket, {
+        onMessage: text => lobby.receive(client, text),
+        onClose: () => {
+            connections.delete(conn);
+            lobby.disconnect(client);
+        },
+    });
+    if (!conn) return;
+    connections.add(conn);
+    client = lobby.connect(conn);
+});
+
+// Connections that went quiet (sleeping laptop, dead Wi-Fi) never send a
+// close frame; ping them and hang up once they stop answering
+setInterval(() => {
+    const cutoff = Date.now() - 2 * HEARTBEAT_MS;
+    connections.forEach(conn => {
+        if (conn.lastSeen < cutoff) conn.close(1001, "Timed out");
+        else conn.ping();
+    });
+    leaderboard.sweep();
+}, HEARTBEAT_MS).unref();
+
+server.listen(PORT, HOST, () => {
+    console.log(`Snake server on http://${HOST}:${PORT}/ (WebSocket at /ws)`);
+});
@@ -0,0 +1,14 @@
+"use strict";
+
+// Worker thread for the global leaderboard: plays submitted replays back
+// off the main thread, so a long run never holds up the game server.
+//
+//   in:  { id, replay }
+//   out: { id, run } or { id, error }   see verifyRun() in leaderboard.js
+const { parentPort } = require("worker_threads");
+const { verifyRun } = require("./leaderboard.js");
+
+parentPort.on("message", ({ id, replay }) => {
+    try { parentPort.postMessage({ id, run: verifyRun(replay) }); }
+    catch (err) { parentPort.postMessage({ id, error: err.message }); }
+});
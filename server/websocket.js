@@ -0,0 +1,170 @@
+"use strict";
+
+// Minimal WebSocket server side (RFC 6455): the opening handshake plus
+// text, ping/pong and close frames. Binary messages and extensions aren't
+// used by the game and get refused.
+const crypto = require("crypto");
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 64 * 1024;       // Game messages are tiny; anything bigger is junk
+
+const OP = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+// ==========================
+// Framing
+// ==========================
+function encodeFrame(opcode, payload) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+        header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(len, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Reads one frame off the front of `buf`; null while it's incomplete
+function decodeFrame(buf) {
+    if (buf.length < 2) return null;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0F;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7F;
+    let offset = 2;
+    if (len === 126) {
+        if (buf.length < 4) return null;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+    } else if (len === 127) {
+        if (buf.length < 10) return null;
+        const big = buf.readBigUInt64BE(2);
+        len = big > BigInt(MAX_MESSAGE) ? Infinity : Number(big);
+        offset = 10;
+    }
+    if (len > MAX_MESSAGE) return { error: 1009 };
+    // clients must mask everything they send
+    if (!masked) return { error: 1002 };
+    if (buf.length < offset + 4 + len) return null;
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    return { fin, opcode, payload, size: offset + 4 + len };
+}
+
+// ==========================
+// Connections
+// ==========================
+// Answers an HTTP upgrade request. `handlers.onMessage(text)` gets every
+// complete text message, `handlers.onClose(code)` fires once when the
+// connection is gone. Returns null (and refuses) for non-WebSocket requests.
+function accept(req, socket, handlers) {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== "websocket") {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return null;
+    }
+    const acceptKey = crypto.createHash("sha1").update(key + GUID).digest("base64");
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        "Sec-WebSocket-Accept: " + acceptKey,
+        "", "",
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+
+    const onMessage = handlers.onMessage || function () {};
+    const onClose = handlers.onClose || function () {};
+    let buffered = Buffer.alloc(0);
+    let fragments = null;                // pieces of a fragmented text message
+    let closed = false;
+    const conn = { lastSeen: Date.now(), send, ping, close };
+
+    function write(opcode, payload) {
+        if (closed || socket.destroyed) return;
+        socket.write(encodeFrame(opcode, payload));
+    }
+
+    function send(text) {
+        write(OP.text, Buffer.from(text, "utf8"));
+    }
+
+    function ping() {
+        write(OP.ping, Buffer.alloc(0));
+    }
+
+    function close(code, reason) {
+        if (closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason || ""));
+        payload.writeUInt16BE(code || 1000, 0);
+        payload.write(reason || "", 2);
+        write(OP.close, payload);
+        finish(code || 1000);
+        socket.end();
+        // a peer that vanished never finishes the closing handshake
+        socket.setTimeout(5000, () => socket.destroy());
+    }
+
+    function finish(code) {
+        if (closed) return;
+        closed = true;
+        onClose(code);
+    }
+
+    function handleFrame(frame) {
+        conn.lastSeen = Date.now();
+        switch (frame.opcode) {
+            case OP.text:
+                if (fragments) return close(1002, "Expected a continuation frame");
+                if (frame.fin) return onMessage(frame.payload.toString("utf8"));
+                fragments = [frame.payload];
+                return;
+            case OP.continuation: {
+                if (!fragments) return close(1002, "Unexpected continuation frame");
+                fragments.push(frame.payload);
+                const total = fragments.reduce((n, b) => n + b.length, 0);
+                if (total > MAX_MESSAGE) return close(1009, "Message too big");
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString("utf8");
+                    fragments = null;
+                    onMessage(text);
+                }
+                return;
+            }
+            case OP.ping:
+                return write(OP.pong, frame.payload);
+            case OP.pong:
+                return;
+            case OP.close:
+                return close(1000);
+            default:
+                return close(1003, "Only text messages are supported");
+        }
+    }
+
+    socket.on("data", chunk => {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+        while (!closed) {
+            const frame = decodeFrame(buffered);
+            if (!frame) break;
+            if (frame.error) return close(frame.error);
+            buffered = buffered.subarray(frame.size);
+            handleFrame(frame);
+        }
+    });
+    socket.on("close", () => finish(1006));
+    socket.on("error", () => socket.destroy());
+
+    return conn;
+}
+
+module.exports = { accept };
@@ -0,0 +1,55 @@
+"use strict";
+
+// Service worker: keeps the game playable offline. Everything it needs is
+// cached on install and served from the cache from then on, so players
+// only get a new version once CACHE changes; bump it with every deploy.
+// The new worker then waits until the page tells it to take over (the
+// update bar), so nobody loses a run to an update.
+const CACHE = "snake-v2";
+const FILES = [
+    "./",
+    "index.html",
+    "core.js",
+    "bot.js",
+    "audio.js",
+    "gif.js",
+    "script.js",
+    "style.css",
+    "manifest.webmanifest",
+    "icons/icon.svg",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "icons/maskable-512.png",
+    "icons/apple-touch-icon.png",
+];
+const PATHS = new Set(FILES.map(f => new URL(f, self.registration.scope).pathname));
+
+self.addEventListener("install", event => {
+    // straight from the network, so a new version never caches stale files
+    const requests = FILES.map(f => new Request(f, { cache: "reload" }));
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(requests)));
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k.startsWith("snake-") && k !== CACHE).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener("message", event => {
+    if (event.data && event.data.type === "skip-waiting") self.skipWaiting();
+});
+
+// Only the game's own files come from the cache; the leaderboard, online
+// play and anything on other hosts always go to the network
+self.addEventListener("fetch", event => {
+    const req = event.request;
+    const url = new URL(req.url);
+    if (req.method !== "GET" || url.origin !== location.origin) return;
+    if (req.mode === "navigate" && PATHS.has(url.pathname)) {
+        // seed, room and level links are all the same page
+        event.respondWith(caches.match("index.html").then(hit => hit || fetch(req)));
+    } else if (PATHS.has(url.pathname)) {
+        event.respondWith(caches.match(req, { ignoreSearch: true }).then(hit => hit || fetch(req)));
+    }
+});
@@ -0,0 +1,460 @@
+"use strict";
+
+// Rules tests for the headless simulation:
+//
+//   npm test            (or: node --test test/core.test.js)
+const test = require("node:test");
+const assert = require("node:assert");
+const SnakeCore = require("../core.js");
+
+const { up, down, left, right } = SnakeCore.DIRS;
+
+// A seeded game on a fake clock; advance() moves the clock one tick on
+function newGame(config) {
+    let clock = 0;
+    const game = SnakeCore.createGame({ now: () => clock });
+    game.reset(Object.assign({ seed: "test" }, config));
+    game.advance = () => {
+        clock += game.state.stepMs;
+        return game.step();
+    };
+    return game;
+}
+
+function cells(body) {
+    return body.map(p => [p.x, p.y]);
+}
+
+test("the snake moves one cell per tick and turns when told", () => {
+    const game = newGame();
+    assert.deepStrictEqual(cells(game.state.snake), [[3, 3], [2, 3], [1, 3]]);
+    game.state.food = { x: 0, y: 0 };
+    game.step();
+    assert.deepStrictEqual(cells(game.state.snake), [[4, 3], [3, 3], [2, 3]]);
+    game.queueDir(down);
+    game.step();
+    assert.deepStrictEqual(cells(game.state.snake), [[4, 4], [4, 3], [3, 3]]);
+});
+
+test("a snake can't reverse into itself", () => {
+    const game = newGame();
+    assert.strictEqual(game.queueDir(left), false);
+    game.state.food = { x: 0, y: 0 };
+    game.step();
+    assert.deepStrictEqual(game.state.snake[0], { x: 4, y: 3 });
+});
+
+test("eating food grows the snake and scores", () => {
+    const game = newGame();
+    game.state.food = { x: 4, y: 3 };
+    game.step();
+    assert.strictEqual(game.state.snake.length, 4);
+    assert.strictEqual(game.state.score, 1);
+    assert.ok(game.state.food, "new food is placed");
+    assert.ok(!game.state.occupied.has(SnakeCore.posKey(game.state.food.x, game.state.food.y)), "and not on the snake");
+});
+
+test("the board grows once the snake fills enough of it", () => {
+    const game = newGame();
+    const grids = [];
+    const st = game.state;
+    // feed the snake the cell in front of it, turning before the walls
+    while (st.grid === SnakeCore.START_GRID && !st.gameOver) {
+        const head = st.snake[0];
+        const ahead = { x: head.x + st.dir.x, y: head.y + st.dir.y };
+        if (game.isWallCollision(ahead.x, ahead.y) || game.isSelfCollision(ahead.x, ahead.y, true)) {
+            const turn = [up, down, left, right].find(d => {
+                const n = { x: head.x + d.x, y: head.y + d.y };
+                return !game.isWallCollision(n.x, n.y) && !st.occupied.has(SnakeCore.posKey(n.x, n.y));
+            });
+            if (!turn) break;
+            game.queueDir(turn);
+            st.food = { x: head.x + turn.x, y: head.y + turn.y };
+        } else {
+            st.food = ahead;
+        }
+        game.step();
+        grids.push(st.grid);
+    }
+    assert.strictEqual(st.grid, SnakeCore.START_GRID + 2);
+    assert.ok(st.snake.length >= SnakeCore.START_GRID ** 2 * SnakeCore.GROW_FILL);
+    assert.ok(st.stepMs < SnakeCore.stepMsFor(SnakeCore.START_GRID), "and the game speeds up");
+});
+
+test("running into the wall ends the run", () => {
+    const game = newGame();
+    game.state.food = { x: 0, y: 0 };
+    let ticks = 0;
+    while (!game.state.gameOver && ticks < 100) {
+        game.step();
+        ticks++;
+    }
+    assert.strictEqual(game.state.deathCause, "wall");
+    assert.strictEqual(game.state.snake[0].x, game.state.grid - 1, "the head stops on the last cell");
+});
+
+test("running into its own body ends the run", () => {
+    const game = newGame();
+    // grow to five, then turn back on the body
+    game.state.food = { x: 4, y: 3 };
+    game.step();
+    game.state.food = { x: 5, y: 3 };
+    game.step();
+    game.state.food = { x: 0, y: 0 };
+    [down, left, up].forEach(d => {
+        game.queueDir(d);
+        game.step();
+    });
+    assert.strictEqual(game.state.gameOver, true);
+    assert.strictEqual(game.state.deathCause, "self");
+});
+
+test("the same seed and inputs play out the same", () => {
+    const a = newGame({ seed: 42 });
+    const b = newGame({ seed: 42 });
+    assert.deepStrictEqual(a.state.food, b.state.food);
+    // a zigzag down the board
+    const path = [down, right, down, left];
+    for (let i = 0; i < 40 && !a.state.gameOver; i++) {
+        if (i % 3 === 0) {
+            const d = path[(i / 3) % path.length];
+            a.queueDir(d);
+            b.queueDir(d);
+        }
+        a.step();
+        b.step();
+        assert.deepStrictEqual(cells(a.state.snake), cells(b.state.snake));
+        assert.deepStrictEqual(a.state.food, b.state.food);
+    }
+    assert.strictEqual(a.state.score, b.state.score);
+});
+
+test("a replay plays back to the same end", () => {
+    const game = newGame({ seed: "replay" });
+    const turns = { 2: down, 6: right, 9: up, 11: right };
+    for (let i = 0; !game.state.gameOver && i < 200; i++) {
+        if (turns[i]) game.queueDir(turns[i]);
+        game.advance();
+    }
+    const replay = SnakeCore.parseReplay(JSON.stringify(game.getReplay()));
+    assert.strictEqual(replay.tickMs.length, game.state.tick);
+
+    const copy = SnakeCore.createGame();
+    const player = SnakeCore.createReplayer(copy, replay);
+    player.seek(player.total);
+    assert.strictEqual(copy.state.gameOver, true);
+    assert.strictEqual(copy.state.deathCause, game.state.deathCause);
+    assert.strictEqual(copy.state.score, replay.score);
+    assert.deepStrictEqual(cells(copy.state.snake), cells(game.state.snake));
+
+    // seeking back replays from the seed
+    player.seek(3);
+    assert.strictEqual(copy.state.tick, 3);
+    assert.strictEqual(player.timeAt(3), replay.tickMs.slice(0, 3).reduce((a, b) => a + b, 0));
+});
+
+test("damaged replays are rejected", () => {
+    const good = newGame().getReplay();
+    assert.throws(() => SnakeCore.parseReplay("{}"), /version/);
+    assert.throws(() => SnakeCore.parseReplay(Object.assign({}, good, { config: {} })), /seed/);
+    assert.throws(() => SnakeCore.parseReplay(Object.assign({}, good, { inputs: [[0, "X"]] })), /input log/);
+    assert.throws(() => SnakeCore.parseReplay(Object.assign({}, good, { score: "<b>9</b>" })), /valid score/);
+});
+
+test("classic keeps a fixed board", () => {
+    const game = newGame({ mode: "classic" });
+    assert.strictEqual(game.state.grid, SnakeCore.MODES.classic.grid);
+    game.state.snake.push(...Array.from({ length: 200 }, () => ({ x: 3, y: 3 })));
+    assert.strictEqual(game.growGridIfNeeded(), false);
+});
+
+test("portal walls wrap the snake to the opposite edge", () => {
+    const game = newGame({ mode: "portal" });
+    game.state.food = { x: 0, y: 0 };
+    const g = game.state.grid;
+    for (let i = 0; i < g - 3; i++) game.advance();
+    assert.strictEqual(game.state.gameOver, false);
+    assert.deepStrictEqual(game.state.snake[0], { x: 0, y: 3 }, "came back in on the left");
+});
+
+test("obstacles kill and never hold food", () => {
+    const game = newGame({ mode: "pillars" });
+    const st = game.state;
+    assert.ok(st.walls.size > 0);
+    for (let i = 0; i < 50; i++) {
+        assert.ok(!st.walls.has(SnakeCore.posKey(st.food.x, st.food.y)));
+        st.food = game.spawnFood();
+    }
+    // the first pillar sits at (2, 6); come down onto it
+    game.reset({ seed: "test", mode: "pillars" });
+    st.food = { x: 0, y: 0 };
+    game.queueDir(down);
+    game.advance();
+    game.queueDir(left);
+    game.advance();
+    game.queueDir(down);
+    game.advance();
+    game.advance();
+    assert.strictEqual(st.gameOver, true);
+    assert.strictEqual(st.deathCause, "obstacle");
+});
+
+const LEVEL = {
+    version: 1,
+    name: "Two rooms",
+    grid: 12,
+    walls: [[6, 0], [6, 1], [6, 2]],
+    start: { x: 3, y: 3, dir: "R", length: 3 },
+    portals: [[[5, 3], [9, 9]]],
+    food: { spawns: [[9, 10], [2, 9]], goal: 2 },
+};
+
+test("parseLevel normalises a level file", () => {
+    const level = SnakeCore.parseLevel(JSON.stringify(LEVEL));
+    assert.strictEqual(level.name, "Two rooms");
+    assert.strictEqual(level.wrap, false);
+    assert.deepStrictEqual(level.walls, LEVEL.walls);
+    assert.deepStrictEqual(level.start, LEVEL.start);
+    assert.deepStrictEqual(SnakeCore.parseLevel({ version: 1, grid: 10, start: { x: 4, y: 4 } }).start,
+        { x: 4, y: 4, dir: "R", length: 3 });
+});
+
+test("parseLevel rejects broken levels", () => {
+    const broken = changes => Object.assign({}, LEVEL, changes);
+    assert.throws(() => SnakeCore.parseLevel(broken({ version: 2 })), /version/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ grid: 3 })), /grid must be/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ walls: [[12, 0]] })), /wall is off the board/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ walls: [[2, 3]] })), /overlaps a wall/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ start: { x: 0, y: 3 } })), /start is off the board/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ portals: [[[5, 3]]] })), /pairs/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ portals: [[[6, 0], [9, 9]]] })), /overlaps/);
+    assert.throws(() => SnakeCore.parseLevel(broken({ food: { goal: 0 } })), /goal/);
+});
+
+test("levels send the snake through portals and end at the goal", () => {
+    const game = newGame({ level: SnakeCore.parseLevel(LEVEL) });
+    const st = game.state;
+    assert.strictEqual(st.grid, 12);
+    assert.ok(LEVEL.food.spawns.some(([x, y]) => st.food.x === x && st.food.y === y), "food only on spawn cells");
+    game.advance();
+    game.advance();
+    assert.deepStrictEqual(st.snake[0], { x: 9, y: 9 }, "came out of the partner portal");
+
+    st.food = { x: 10, y: 9 };
+    game.advance();
+    assert.strictEqual(st.score, 1);
+    st.food = { x: 11, y: 9 };
+    game.advance();
+    assert.strictEqual(st.gameOver, true);
+    assert.strictEqual(st.won, true);
+    assert.strictEqual(st.deathCause, null);
+});
+
+// Drops an item of `type` on the board, as spawnItem() would
+function putItem(game, type, x, y) {
+    const st = game.state;
+    const item = { type, x, y, bornAt: st.simMs, expiresAt: st.simMs + SnakeCore.ITEMS[type].lifeMs };
+    st.items.push(item);
+    return item;
+}
+
+test("bonus fruit scores extra and grows the snake", () => {
+    const game = newGame({ mode: "classic" });
+    game.state.food = { x: 0, y: 0 };
+    putItem(game, "bonus", 4, 3);
+    game.advance();
+    assert.strictEqual(game.state.score, SnakeCore.ITEMS.bonus.points);
+    assert.strictEqual(game.state.snake.length, 4);
+    assert.strictEqual(game.state.items.length, 0);
+});
+
+test("slow time stretches the step until it runs out", () => {
+    const game = newGame({ mode: "classic" });
+    const st = game.state;
+    st.food = { x: 0, y: 0 };
+    const base = st.stepMs;
+    putItem(game, "slow", 4, 3);
+    game.advance();
+    assert.strictEqual(st.stepMs, base * SnakeCore.ITEMS.slow.stepScale);
+    assert.ok(game.effectLeft("slow") > 0);
+    while (game.effectLeft("slow") > 0) {
+        game.queueDir(st.dir.x ? down : right);
+        game.advance();
+    }
+    assert.strictEqual(st.gameOver, false);
+    assert.strictEqual(st.stepMs, base);
+    assert.deepStrictEqual(st.effects, {});
+});
+
+test("shrink drops segments but never below the minimum", () => {
+    const game = newGame({ mode: "classic" });
+    const st = game.state;
+    [4, 5, 6, 7].forEach(x => {
+        st.food = { x, y: 3 };
+        game.advance();
+    });
+    assert.strictEqual(st.snake.length, 7);
+    st.food = { x: 0, y: 0 };
+    putItem(game, "shrink", 8, 3);
+    game.advance();
+    assert.strictEqual(st.snake.length, 7 - SnakeCore.ITEMS.shrink.drop);
+    putItem(game, "shrink", 9, 3);
+    game.advance();
+    assert.strictEqual(st.snake.length, 3);
+    assert.strictEqual(st.occupied.size, 3);
+});
+
+test("a ghost passes through its own body while the effect lasts", () => {
+    const game = newGame({ mode: "classic" });
+    const st = game.state;
+    st.food = { x: 4, y: 3 };
+    game.advance();
+    st.food = { x: 5, y: 3 };
+    game.advance();
+    st.food = { x: 0, y: 0 };
+    putItem(game, "ghost", 6, 3);
+    game.advance();
+    [down, left, up].forEach(d => {
+        game.queueDir(d);
+        game.advance();
+    });
+    assert.strictEqual(st.gameOver, false);
+    assert.deepStrictEqual(st.snake[0], { x: 5, y: 3 }, "the head sits on the body");
+});
+
+test("items left alone expire", () => {
+    const game = newGame({ mode: "portal" });
+    const st = game.state;
+    st.food = { x: 0, y: 0 };
+    putItem(game, "shrink", 7, 7);
+    const ticks = Math.ceil(SnakeCore.ITEMS.shrink.lifeMs / st.stepMs);
+    for (let i = 0; i < ticks; i++) game.advance();
+    assert.strictEqual(st.gameOver, false);
+    assert.strictEqual(st.items.length, 0);
+});
+
+// Puts the versus snakes on chosen cells: bodies are head-first [x, y] lists
+function placeSnakes(game, bodies, dirs) {
+    const st = game.state;
+    st.snakes.forEach((s, i) => {
+        s.body = bodies[i].map(([x, y]) => ({ x, y }));
+        s.dir = dirs[i];
+    });
+    st.occupied = new Set(bodies.flat().map(([x, y]) => SnakeCore.posKey(x, y)));
+    st.food = { x: 0, y: 0 };
+}
+
+test("versus puts two snakes on the board", () => {
+    const game = newGame({ mode: "versus" });
+    assert.strictEqual(game.state.snakes.length, 2);
+    assert.strictEqual(game.queueDir(up, 1), true);
+    game.advance();
+    assert.deepStrictEqual(game.state.snakes[1].dir, up);
+    assert.strictEqual(game.state.items.length, 0);
+});
+
+test("versus: heads meeting on one cell knock both snakes out", () => {
+    const game = newGame({ mode: "versus" });
+    placeSnakes(game, [[[5, 5], [4, 5], [3, 5]], [[7, 5], [8, 5], [9, 5]]], [right, left]);
+    game.advance();
+    const st = game.state;
+    assert.strictEqual(st.gameOver, true);
+    assert.strictEqual(st.winner, null);
+    assert.deepStrictEqual(st.snakes.map(s => s.deathCause), ["head-on", "head-on"]);
+});
+
+test("versus: heads swapping places collide too", () => {
+    const game = newGame({ mode: "versus" });
+    placeSnakes(game, [[[5, 5], [4, 5], [3, 5]], [[6, 5], [7, 5], [8, 5]]], [right, left]);
+    game.advance();
+    assert.deepStrictEqual(game.state.snakes.map(s => s.deathCause), ["head-on", "head-on"]);
+});
+
+test("versus: running into the other snake loses the round", () => {
+    const game = newGame({ mode: "versus" });
+    placeSnakes(game, [[[5, 5], [4, 5], [3, 5]], [[4, 6], [4, 7], [4, 8]]], [right, up]);
+    game.advance();
+    const st = game.state;
+    assert.strictEqual(st.gameOver, true);
+    assert.strictEqual(st.winner, 0);
+    assert.strictEqual(st.snakes[0].alive, true);
+    assert.strictEqual(st.snakes[1].deathCause, "body");
+});
+
+test("versus: a tail moving on frees its cell in time", () => {
+    const game = newGame({ mode: "versus" });
+    placeSnakes(game, [[[5, 5], [4, 5], [3, 5]], [[3, 6], [3, 7], [3, 8]]], [right, up]);
+    game.advance();
+    assert.strictEqual(game.state.gameOver, false);
+    assert.deepStrictEqual(game.state.snakes[1].body[0], { x: 3, y: 5 });
+});
+
+test("difficulty presets set the board, pace and growth", () => {
+    Object.keys(SnakeCore.DIFFICULTIES).forEach(key => {
+        const preset = SnakeCore.DIFFICULTIES[key];
+        const st = newGame({ difficulty: key }).state;
+        assert.strictEqual(st.difficulty.key, key);
+        assert.strictEqual(st.grid, preset.startGrid, key);
+        assert.strictEqual(st.stepMs, SnakeCore.stepMsFor(preset.startGrid, preset.stepMs), key);
+    });
+    // modes with a fixed board keep it
+    assert.strictEqual(newGame({ mode: "classic", difficulty: "insane" }).state.grid, SnakeCore.MODES.classic.grid);
+    assert.strictEqual(newGame().state.difficulty.key, SnakeCore.DEFAULT_DIFFICULTY);
+});
+
+test("harder difficulties speed up with every food", () => {
+    const game = newGame({ mode: "classic", difficulty: "insane" });
+    const st = game.state;
+    const before = st.stepMs;
+    st.food = { x: 4, y: 3 };
+    game.advance();
+    assert.strictEqual(st.stepMs, before - SnakeCore.DIFFICULTIES.insane.accelMs);
+
+    const calm = newGame({ mode: "classic", difficulty: "zen" });
+    const zen = calm.state.stepMs;
+    calm.state.food = { x: 4, y: 3 };
+    calm.advance();
+    assert.strictEqual(calm.state.stepMs, zen);
+});
+
+test("custom difficulties are checked against the limits", () => {
+    const custom = { startGrid: 6, maxGrid: 12, growFill: 0.5, stepMs: 100, accelMs: 1 };
+    const d = SnakeCore.parseDifficulty(custom);
+    assert.strictEqual(d.key, "custom");
+    assert.strictEqual(newGame({ difficulty: custom }).state.grid, 6);
+    assert.throws(() => SnakeCore.parseDifficulty("nightmare"), /Unknown difficulty/);
+    assert.throws(() => SnakeCore.parseDifficulty(Object.assign({}, custom, { startGrid: 6.5 })), /whole number/);
+    assert.throws(() => SnakeCore.parseDifficulty(Object.assign({}, custom, { growFill: 1 })), /growFill/);
+    assert.throws(() => SnakeCore.parseDifficulty(Object.assign({}, custom, { maxGrid: 6, startGrid: 8 })), /below startGrid/);
+});
+
+// A 6x6 board with the snake on every cell but the last one of a
+// serpentine path, heading for it
+function almostFullGame() {
+    const game = newGame({ difficulty: { startGrid: 6, maxGrid: 6, growFill: 0.9, stepMs: 150, accelMs: 0 } });
+    const path = [];
+    for (let y = 0; y < 6; y++) {
+        for (let i = 0; i < 6; i++) path.push([y % 2 ? 5 - i : i, y]);
+    }
+    placeSnakes(game, [path.slice(0, 35).reverse()], [left]);
+    game.state.food = null;
+    return { game, last: path[35] };
+}
+
+test("filling the whole board wins a perfect game", () => {
+    const { game, last } = almostFullGame();
+    game.state.food = { x: last[0], y: last[1] };
+    game.advance();
+    assert.strictEqual(game.state.gameOver, true);
+    assert.strictEqual(game.state.won, true);
+    assert.strictEqual(game.state.wonBy, "perfect");
+    assert.strictEqual(game.state.deathCause, null);
+});
+
+test("a growing item on the last cell wins it too", () => {
+    const { game, last } = almostFullGame();
+    putItem(game, "bonus", last[0], last[1]);
+    game.advance();
+    assert.strictEqual(game.state.wonBy, "perfect");
+    assert.strictEqual(game.state.score, SnakeCore.ITEMS.bonus.points);
+});
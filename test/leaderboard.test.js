@@ -0,0 +1,82 @@
+"use strict";
+
+// Replay checks and submissions of the global leaderboard
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SnakeCore = require("../core.js");
+const { createLeaderboard, verifyRun } = require("../server/leaderboard.js");
+
+// Plays a run at the game's own pace: down `drop` cells, then right into
+// the wall. Returns its replay.
+function playRun(config, drop) {
+    let clock = 0;
+    const game = SnakeCore.createGame({ now: () => clock });
+    game.reset(config);
+    for (let i = 0; !game.state.gameOver; i++) {
+        if (i === 0 && drop) game.queueDir(SnakeCore.DIRS.down);
+        if (i === drop) game.queueDir(SnakeCore.DIRS.right);
+        clock += game.state.stepMs;
+        game.step();
+    }
+    return JSON.parse(JSON.stringify(game.getReplay()));
+}
+
+test("verifyRun accepts a genuine run", () => {
+    const replay = playRun({ mode: "classic", seed: "lb" }, 4);
+    const run = verifyRun(replay);
+    assert.strictEqual(run.mode, "classic");
+    assert.strictEqual(run.seed, "lb");
+    assert.strictEqual(run.score, replay.score);
+    assert.strictEqual(run.ticks, replay.tickMs.length);
+    assert.strictEqual(run.timeMs, replay.tickMs.reduce((a, b) => a + b, 0));
+    assert.strictEqual(verifyRun(playRun({ mode: "classic", seed: "lb" }, 4)).hash, run.hash, "same run, same hash");
+});
+
+test("verifyRun turns away runs it can't reproduce", () => {
+    const replay = playRun({ mode: "classic", seed: "lb" }, 4);
+    const changed = changes => Object.assign(JSON.parse(JSON.stringify(replay)), changes);
+    assert.throws(() => verifyRun(changed({ score: replay.score + 1 })), /Score doesn't match/);
+    assert.throws(() => verifyRun(changed({ tickMs: replay.tickMs.map(ms => ms / 2) })), /faster/);
+    assert.throws(() => verifyRun(changed({ tickMs: replay.tickMs.slice(0, -1) })), /doesn't end where/);
+    assert.throws(() => verifyRun(changed({ config: { mode: "classic", seed: "lb", grid: 30 } })), /standard modes/);
+    assert.throws(() => verifyRun(changed({ config: { mode: "versus", seed: "lb" } })), /isn't ranked/);
+    const custom = { startGrid: 6, maxGrid: 12, growFill: 0.5, stepMs: 100, accelMs: 1 };
+    assert.throws(() => verifyRun(changed({ config: { mode: "classic", seed: "lb", difficulty: custom } })), /Custom difficulty/);
+    assert.throws(() => verifyRun(changed({ inputs: [[0, "D", 1]] })), /Single-player/);
+});
+
+test("submissions are checked, ranked and saved", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "snake-scores-"));
+    const file = path.join(dir, "scores.json");
+    try {
+        const board = createLeaderboard(file);
+        const short = playRun({ mode: "classic", seed: "a" }, 0);
+        const long = playRun({ mode: "classic", seed: "b" }, 8);
+
+        const first = await board.submit({ name: "  Ann ", replay: short });
+        assert.strictEqual(first.board, "classic");
+        assert.strictEqual(first.rank, 1);
+        assert.strictEqual(first.entry.name, "Ann");
+        const second = await board.submit({ replay: long });
+        assert.strictEqual(second.entry.name, "Anonymous");
+        const retry = await board.submit({ name: "Ann", replay: short });
+        const { entries } = board.top("classic", null, 10);
+        assert.strictEqual(entries.length, 2, "a retried run isn't counted twice");
+        assert.deepStrictEqual(retry.entry, entries.find(e => e.name === "Ann"));
+        assert.ok(entries[0].score > entries[1].score || entries[0].timeMs <= entries[1].timeMs, "best first");
+
+        await assert.rejects(board.submit({ replay: Object.assign({}, short, { score: 99 }) }), /Score doesn't match/);
+        await assert.rejects(board.submit({ daily: "2001-01-01", replay: short }), /closed/);
+        await assert.rejects(board.submit(null), /Malformed/);
+
+        // writes are batched, give the save a moment
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        assert.strictEqual(saved.boards.classic.length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+// Room flow of the online versus server, driven through fake connections
+const test = require("node:test");
+const assert = require("node:assert");
+const { createLobby } = require("../server/rooms.js");
+
+// A stand-in for a websocket connection that keeps what it was sent
+function fakeConn() {
+    return {
+        sent: [],
+        closed: null,
+        send(text) { this.sent.push(JSON.parse(text)); },
+        close(code, reason) { this.closed = { code, reason }; },
+        last(type) { return this.sent.filter(m => m.type === type).pop(); },
+    };
+}
+
+function connect(lobby) {
+    const conn = fakeConn();
+    const client = lobby.connect(conn);
+    client.say = msg => lobby.receive(client, JSON.stringify(msg));
+    return client;
+}
+
+test("a room is created, filled and watched", () => {
+    const lobby = createLobby();
+    const ann = connect(lobby);
+    ann.say({ type: "create", name: "  Ann  " });
+    const welcome = ann.conn.last("welcome");
+    assert.match(welcome.code, /^[A-Z2-9]{4}$/);
+    assert.strictEqual(welcome.role, "player");
+    assert.strictEqual(welcome.player, 0);
+    assert.ok(welcome.token);
+    let room = ann.conn.last("room");
+    assert.strictEqual(room.phase, "waiting");
+    assert.deepStrictEqual(room.players, [{ name: "Ann", wins: 0, connected: true }, null]);
+
+    const bob = connect(lobby);
+    bob.say({ type: "join", code: ` ${welcome.code.toLowerCase()} ` });
+    assert.strictEqual(bob.conn.last("welcome").player, 1);
+    room = ann.conn.last("room");
+    assert.strictEqual(room.phase, "countdown");
+    assert.strictEqual(room.players[1].name, "Player 2", "nameless players get a default");
+
+    const eve = connect(lobby);
+    eve.say({ type: "join", code: welcome.code });
+    assert.strictEqual(eve.conn.last("welcome").role, "spectator");
+    assert.strictEqual(ann.conn.last("room").spectators, 1);
+
+    ann.say({ type: "leave" });
+    room = bob.conn.last("room");
+    assert.strictEqual(room.phase, "waiting");
+    assert.strictEqual(room.note, "Ann left");
+    bob.say({ type: "leave" });
+    eve.say({ type: "leave" });
+    assert.strictEqual(lobby.rooms.size, 0, "empty rooms close");
+});
+
+test("a dropped player reclaims their seat with the token", () => {
+    const lobby = createLobby();
+    const ann = connect(lobby);
+    ann.say({ type: "create", name: "Ann" });
+    const { code } = ann.conn.last("welcome");
+    const bob = connect(lobby);
+    bob.say({ type: "join", code, name: "Bob" });
+    const { token } = bob.conn.last("welcome");
+
+    lobby.disconnect(bob);
+    let room = ann.conn.last("room");
+    assert.strictEqual(room.phase, "waiting");
+    assert.strictEqual(room.players[1].connected, false);
+    assert.match(room.note, /Bob disconnected/);
+
+    const back = connect(lobby);
+    back.say({ type: "join", code, token });
+    assert.strictEqual(back.conn.last("welcome").player, 1);
+    room = ann.conn.last("room");
+    assert.strictEqual(room.phase, "countdown");
+    assert.strictEqual(room.players[1].name, "Bob");
+
+    ann.say({ type: "leave" });
+    back.say({ type: "leave" });
+    assert.strictEqual(lobby.rooms.size, 0);
+});
+
+test("bad messages get an error back", () => {
+    const lobby = createLobby();
+    const ann = connect(lobby);
+    lobby.receive(ann, "{nope");
+    assert.strictEqual(ann.conn.last("error").message, "Malformed message");
+    ann.say({ type: "dance" });
+    assert.strictEqual(ann.conn.last("error").message, "Unknown message type");
+    ann.say({ type: "join", code: "ZZZZ" });
+    assert.strictEqual(ann.conn.last("error").message, "No room with that code");
+    ann.say({ type: "dir", dir: "U" });
+    assert.strictEqual(ann.conn.sent.length, 3, "steering outside a room is ignored");
+});
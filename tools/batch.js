@@ -0,0 +1,159 @@
+"use strict";
+
+// Headless batch runner for benchmarking agents. Plays N games as fast as
+// the simulation goes and prints score and length statistics:
+//
+//   node tools/batch.js [--games 100] [--mode classic] [--level file.json]
+//                       [--difficulty hard] [--seed bench] [--max-ticks 10000]
+//                       [--agent bot | path] [--json]
+//
+// An agent is a module exporting `move(observation, game)` (or just that
+// function), called before every tick. It returns "U" | "D" | "L" | "R",
+// a direction like SnakeCore.DIRS.up, or null to keep going; the
+// observation is the same one window.snake.observe() gives in the browser.
+// Games use seeds "<seed>-0", "<seed>-1", ..., so runs are repeatable. In
+// versus the agent plays player one against the built-in bot.
+const fs = require("fs");
+const path = require("path");
+const SnakeCore = require("../core.js");
+const SnakeBot = require("../bot.js");
+
+const DEFAULTS = { games: 100, mode: SnakeCore.DEFAULT_MODE, level: null, difficulty: SnakeCore.DEFAULT_DIFFICULTY, seed: "bench", maxTicks: 10000, agent: "bot", json: false };
+
+const builtinBot = { move: (obs, game) => SnakeBot.plan(game, obs.player).dir };
+
+function usage(message) {
+    if (message) console.error(message);
+    console.error("usage: node tools/batch.js [--games N] [--mode MODE] [--level FILE] [--difficulty NAME] [--seed SEED] [--max-ticks N] [--agent bot|PATH] [--json]");
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const opts = Object.assign({}, DEFAULTS);
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--games": opts.games = Number(value()); break;
+            case "--mode": opts.mode = value(); break;
+            case "--level": opts.level = value(); break;
+            case "--difficulty": opts.difficulty = value(); break;
+            case "--seed": opts.seed = value(); break;
+            case "--max-ticks": opts.maxTicks = Number(value()); break;
+            case "--agent": opts.agent = value(); break;
+            case "--json": opts.json = true; break;
+            case "-h": case "--help": usage(); break;
+            default: usage(`Unknown option ${arg}`);
+        }
+    }
+    if (!Number.isInteger(opts.games) || opts.games < 1) usage("--games must be a positive integer");
+    if (!Number.isInteger(opts.maxTicks) || opts.maxTicks < 1) usage("--max-ticks must be a positive integer");
+    if (!opts.level && !SnakeCore.MODES[opts.mode]) usage(`Unknown mode ${opts.mode} (${Object.keys(SnakeCore.MODES).join(", ")})`);
+    if (!SnakeCore.DIFFICULTIES[opts.difficulty]) usage(`Unknown difficulty ${opts.difficulty} (${Object.keys(SnakeCore.DIFFICULTIES).join(", ")})`);
+    return opts;
+}
+
+function loadAgent(name) {
+    if (name === "bot") return builtinBot;
+    const mod = require(path.resolve(name));
+    const move = typeof mod === "function" ? mod : mod && mod.move;
+    if (typeof move !== "function") usage(`${name} exports no move() function`);
+    return { move };
+}
+
+function toDir(d) {
+    return typeof d === "string" ? SnakeCore.DIR_CODES[d.toUpperCase()] : d;
+}
+
+// ==========================
+// Games
+// ==========================
+function playGame(opts, agent, level, seed) {
+    let clock = 0;                   // simulated time, one stepMs per tick
+    const game = SnakeCore.createGame({ now: () => clock });
+    const difficulty = opts.difficulty;
+    if (level) game.reset({ level, seed, difficulty });
+    else game.reset({ mode: opts.mode, seed, difficulty });
+    const st = game.state;
+
+    while (!st.gameOver && st.tick < opts.maxTicks) {
+        const d = toDir(agent.move(game.observe(0), game));
+        if (d) game.queueDir(d, 0);
+        for (let p = 1; p < st.snakes.length; p++) {
+            if (!st.snakes[p].queuedDirs.length) game.queueDir(SnakeBot.plan(game, p).dir, p);
+        }
+        clock += st.stepMs;
+        game.step();
+    }
+
+    let outcome;
+    if (!st.gameOver) outcome = "tick limit";
+    else if (st.won) outcome = st.wonBy === "perfect" ? "perfect" : "won";
+    else if (st.snakes.length > 1) outcome = st.winner === 0 ? "won" : st.winner === null ? "draw" : "lost";
+    else outcome = st.deathCause;
+    return { seed, score: st.score, length: st.snake.length, ticks: st.tick, outcome };
+}
+
+// ==========================
+// Statistics
+// ==========================
+function summarize(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((a, b) => a + b, 0) / n;
+    const variance = sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / n;
+    const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    return { mean, median, min: sorted[0], max: sorted[n - 1], stdev: Math.sqrt(variance) };
+}
+
+function report(opts, results, elapsedMs) {
+    const outcomes = {};
+    results.forEach(r => { outcomes[r.outcome] = (outcomes[r.outcome] || 0) + 1; });
+    return {
+        games: results.length,
+        mode: opts.level ? null : opts.mode,
+        level: opts.level,
+        difficulty: opts.difficulty,
+        agent: opts.agent,
+        score: summarize(results.map(r => r.score)),
+        length: summarize(results.map(r => r.length)),
+        ticks: summarize(results.map(r => r.ticks)),
+        outcomes,
+        gamesPerSecond: results.length / Math.max(elapsedMs, 1) * 1000,
+        results,
+    };
+}
+
+function printReport(r) {
+    const fmt = v => (Number.isInteger(v) ? String(v) : v.toFixed(1)).padStart(8);
+    const row = (label, s) => `${label.padEnd(8)}${fmt(s.mean)}${fmt(s.median)}${fmt(s.min)}${fmt(s.max)}${fmt(s.stdev)}`;
+    console.log(`${r.games} games of ${r.level || r.mode} (${r.difficulty}), agent ${r.agent} (${r.gamesPerSecond.toFixed(1)} games/s)`);
+    console.log("");
+    console.log(`${"".padEnd(8)}${"mean".padStart(8)}${"median".padStart(8)}${"min".padStart(8)}${"max".padStart(8)}${"stdev".padStart(8)}`);
+    console.log(row("score", r.score));
+    console.log(row("length", r.length));
+    console.log(row("ticks", r.ticks));
+    console.log("");
+    console.log("outcomes: " + Object.keys(r.outcomes).map(k => `${k} ${r.outcomes[k]}`).join(", "));
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const agent = loadAgent(opts.agent);
+    let level = null;
+    if (opts.level) {
+        try { level = SnakeCore.parseLevel(fs.readFileSync(opts.level, "utf8")); }
+        catch (err) { usage(`Could not load ${opts.level}: ${err.message}`); }
+    }
+    const started = Date.now();
+    const results = [];
+    for (let i = 0; i < opts.games; i++) results.push(playGame(opts, agent, level, `${opts.seed}-${i}`));
+    const r = report(opts, results, Date.now() - started);
+    if (opts.json) console.log(JSON.stringify(r, null, 2));
+    else printReport(r);
+}
+
+main();